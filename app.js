@@ -16,6 +16,15 @@ const elements = {
   videoThumbnail: document.getElementById('videoThumbnail'),
   videoDuration: document.getElementById('videoDuration'),
   videoTitle: document.getElementById('videoTitle'),
+  clipStart: document.getElementById('clipStart'),
+  clipEnd: document.getElementById('clipEnd'),
+  clipChapter: document.getElementById('clipChapter'),
+  clipHint: document.getElementById('clipHint'),
+  clipResetBtn: document.getElementById('clipResetBtn'),
+  chapterSection: document.getElementById('chapterSection'),
+  chapterList: document.getElementById('chapterList'),
+  chapterCount: document.getElementById('chapterCount'),
+  splitChaptersToggle: document.getElementById('splitChaptersToggle'),
   videoAuthor: document.getElementById('videoAuthor'),
   videoFormats: document.getElementById('videoFormats'),
   audioFormats: document.getElementById('audioFormats'),
@@ -25,10 +34,16 @@ const elements = {
   playlistSection: document.getElementById('playlistSection'),
   playlistTitle: document.getElementById('playlistTitle'),
   playlistCount: document.getElementById('playlistCount'),
+  playlistThumbnail: document.getElementById('playlistThumbnail'),
+  playlistDescription: document.getElementById('playlistDescription'),
   playlistItems: document.getElementById('playlistItems'),
   selectAllBtn: document.getElementById('selectAllBtn'),
   downloadSelectedBtn: document.getElementById('downloadSelectedBtn'),
   downloadSelectedMp3Btn: document.getElementById('downloadSelectedMp3Btn'),
+  skipDownloadedToggle: document.getElementById('skipDownloadedToggle'),
+  pauseTaskBtn: document.getElementById('pauseTaskBtn'),
+  cancelTaskBtn: document.getElementById('cancelTaskBtn'),
+  retryTaskBtn: document.getElementById('retryTaskBtn'),
 };
 
 // ===== State =====
@@ -37,48 +52,86 @@ let currentState = {
   videoId: null,
   videoInfo: null,
   formats: null,
+  analysis: null, // /api/analyze 的完整结果（字幕、章节等）
   selectedFormat: null,
-  playlistVideos: [],
-  selectedVideos: new Set(),
+  selectedIsAudio: false, // 当前选中的是否为音频格式（音频不附带字幕）
+  loudnorm: false, // 音频转换后做响度标准化
+  compatibleMp4: false, // 视频输出兼容的 MP4（H.264 + AAC）
+  subtitleOptions: { mode: 'none', tracks: [] }, // 随视频下载的字幕 { mode: none|embed|sidecar, tracks: [{ lang, automatic }] }
+  playlistVideos: [], // 已加载的视频，按播放列表位置存放
+  selectedVideos: new Set(), // 选中视频在播放列表中的位置，翻页加载后保持
+  playlistPaging: null, // 播放列表分页状态 { url, total, nextStart, hasMore, loading }
+  queueTask: null, // 当前批量下载任务
 };
 
 // ===== URL Parsing =====
-function parseYouTubeUrl(url) {
-  const result = { videoId: null, playlistId: null };
+// 与服务端共用的链接解析（shared/youtubeUrl.js），支持视频、Shorts、直播、播放列表、合辑和频道链接
+const { parseYouTubeUrl } = window.YoutubeUrl;
+
+// ===== Error Messages =====
+// 服务端错误码 -> 用户可操作的提示
+const ERROR_MESSAGES = {
+  INVALID_URL: '无法识别的链接，请确认是有效的 YouTube 视频或播放列表地址',
+  NETWORK_ERROR: '网络连接失败（已自动重试），请检查网络或代理设置后再试',
+  RATE_LIMITED: 'YouTube 请求过于频繁 (429)，请等待几分钟后重试，上传 cookies 可降低限流概率',
+  ACCESS_FORBIDDEN: '下载被 YouTube 拒绝 (403)，请重新导出并上传 cookies.txt，或换一个格式',
+  SIGN_IN_REQUIRED: 'YouTube 要求登录验证，请上传已登录账号的 cookies.txt',
+  AGE_RESTRICTED: '该视频有年龄限制，请上传已登录且完成年龄验证的账号 cookies.txt',
+  VIDEO_PRIVATE: '这是私享视频，只有获得授权的账号才能观看和下载',
+  VIDEO_UNAVAILABLE: '视频不存在或已被删除',
+  GEO_BLOCKED: '该视频在服务器所在地区不可用，可尝试切换代理地区',
+  FORMAT_UNAVAILABLE: '所选格式不可用，请换一个清晰度或格式',
+  FFMPEG_MISSING: '服务器未安装 ffmpeg，无法合并或转换格式，请参考 INSTALL.md 安装',
+  YTDLP_MISSING: '服务器未安装 yt-dlp，请参考 INSTALL.md 安装',
+  PROCESS_TIMEOUT: '处理超时，视频可能过长或服务器繁忙，请稍后重试',
+  PROCESS_STALLED: '下载长时间没有进展（已自动重试），请检查网络后再试',
+};
 
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.replace('www.', '');
-
-    if (hostname === 'youtube.com' || hostname === 'm.youtube.com') {
-      result.videoId = urlObj.searchParams.get('v');
-      result.playlistId = urlObj.searchParams.get('list');
-    } else if (hostname === 'youtu.be') {
-      result.videoId = urlObj.pathname.slice(1);
-      result.playlistId = urlObj.searchParams.get('list');
-    }
-  } catch (e) {
-    console.error('URL parsing error:', e);
-  }
+function describeError(message, code) {
+  return ERROR_MESSAGES[code] || message;
+}
 
-  return result;
+/**
+ * 从失败的响应中构造带错误码的 Error
+ */
+async function toApiError(response, fallbackMessage) {
+  const result = await response.json().catch(() => ({}));
+  const error = new Error(result.error || fallbackMessage);
+  error.code = result.code;
+  return error;
 }
 
 // ===== API Functions =====
-async function fetchVideoInfo(url) {
-  const response = await fetch(`${API_BASE}/api/info?url=${encodeURIComponent(url)}`);
+// 播放列表每页加载的视频数
+const PLAYLIST_PAGE_SIZE = 50;
+
+/**
+ * @param {object} [page] - 播放列表分页参数 { start, limit }，单个视频时忽略
+ */
+async function fetchVideoInfo(url, page = {}) {
+  const params = new URLSearchParams({ url });
+  if (page.start) params.set('start', page.start);
+  if (page.limit) params.set('limit', page.limit);
+
+  const response = await fetch(`${API_BASE}/api/info?${params}`);
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Failed to fetch video info');
+    throw await toApiError(response, 'Failed to fetch video info');
   }
   return response.json();
 }
 
-async function fetchFormats(url) {
-  const response = await fetch(`${API_BASE}/api/formats?url=${encodeURIComponent(url)}`);
+/**
+ * 一次获取视频信息、格式、字幕和章节（播放列表时同 fetchVideoInfo）
+ * @param {object} [page] - 播放列表分页参数 { start, limit }
+ */
+async function fetchAnalysis(url, page = {}) {
+  const params = new URLSearchParams({ url });
+  if (page.start) params.set('start', page.start);
+  if (page.limit) params.set('limit', page.limit);
+
+  const response = await fetch(`${API_BASE}/api/analyze?${params}`);
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Failed to fetch formats');
+    throw await toApiError(response, 'Failed to analyze url');
   }
   return response.json();
 }
@@ -86,8 +139,7 @@ async function fetchFormats(url) {
 async function fetchDownloadUrl(url, format) {
   const response = await fetch(`${API_BASE}/api/download?url=${encodeURIComponent(url)}&format=${encodeURIComponent(format)}`);
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Failed to get download URL');
+    throw await toApiError(response, 'Failed to get download URL');
   }
   return response.json();
 }
@@ -102,9 +154,11 @@ async function checkHealth() {
 }
 
 // ===== UI Functions =====
-function showError(message) {
+function showError(message, code) {
   elements.errorSection.classList.remove('hidden');
-  elements.errorMessage.textContent = message;
+  elements.errorMessage.textContent = describeError(message, code);
+  // 原始错误信息放在悬停提示中，便于排查
+  elements.errorMessage.title = ERROR_MESSAGES[code] ? message : '';
   elements.videoSection.classList.add('hidden');
   elements.playlistSection.classList.add('hidden');
 }
@@ -145,7 +199,16 @@ function formatFileSize(bytes) {
   return `${size.toFixed(1)} ${units[unitIndex]}`;
 }
 
-function showToast(message) {
+// 转义插入 HTML 的文本（标题、章节名等来自视频作者或其他用户，不可信）
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+let toastTimer = null;
+
+function showToast(message, duration = 2000) {
   let toast = document.querySelector('.toast');
   if (!toast) {
     toast = document.createElement('div');
@@ -155,9 +218,70 @@ function showToast(message) {
   toast.textContent = message;
   toast.classList.add('show');
 
-  setTimeout(() => {
+  // 连续提示时重新计时，避免被上一条的定时器提前隐藏
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => {
     toast.classList.remove('show');
-  }, 2000);
+  }, duration);
+}
+
+// ===== 下载进度 =====
+const PHASE_LABELS = {
+  downloading: '下载中',
+  merging: '合并音视频',
+  extracting_audio: '提取音频',
+  converting: '转换格式',
+  remuxing: '封装格式',
+  embedding: '写入元数据',
+  finalizing: '整理文件',
+  postprocessing: '后期处理',
+  splitting: '拆分章节',
+};
+
+// 兼容 MP4 采用的方式（proxy-download 的 done 事件）
+const MP4_CONVERSION_LABELS = {
+  direct: '原生 MP4',
+  remux: '已重新封装为 MP4',
+  transcode: '已转码为 MP4',
+};
+
+function createProgressId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+}
+
+function formatProgress(progress) {
+  const parts = [PHASE_LABELS[progress.phase] || '处理中'];
+
+  if (progress.phase === 'downloading') {
+    if (progress.percent !== null) parts.push(`${progress.percent.toFixed(1)}%`);
+    if (progress.speed) parts.push(`${formatFileSize(progress.speed)}/s`);
+    if (progress.eta) parts.push(`剩余 ${formatDuration(Math.round(progress.eta))}`);
+  }
+
+  if (progress.phase === 'splitting') {
+    parts.push(`${progress.chapter}/${progress.chapters}`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * 订阅服务端进度事件（SSE）
+ * @param {string} path - 事件流路径
+ * @param {object} handlers - 事件名 -> 处理函数
+ * @returns {EventSource}
+ */
+function watchEvents(path, handlers) {
+  const source = new EventSource(`${API_BASE}${path}`);
+
+  Object.entries(handlers).forEach(([event, handler]) => {
+    source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+  });
+
+  // 服务端结束推送后不自动重连
+  source.onerror = () => source.close();
+
+  return source;
 }
 
 // ===== Video Section =====
@@ -180,6 +304,111 @@ function showVideoSection(videoInfo, formats) {
 
   // 渲染格式选择
   renderFormatOptions(formats);
+  renderChapters(videoInfo.chapters || []);
+  renderClipSelector(videoInfo, videoInfo.chapters || []);
+}
+
+// ===== Chapters =====
+function renderChapters(chapters) {
+  elements.chapterSection.classList.toggle('hidden', chapters.length === 0);
+  elements.chapterCount.textContent = `共 ${chapters.length} 章 · 点击章节只下载该章节`;
+  elements.splitChaptersToggle.checked = false;
+
+  elements.chapterList.innerHTML = chapters.map((chapter, i) => `
+        <div class="chapter-item" data-chapter="${i + 1}">
+            <span class="chapter-number">${i + 1}</span>
+            <span class="chapter-title" title="${escapeHtml(chapter.title)}">${escapeHtml(chapter.title)}</span>
+            <span class="chapter-time">${formatDuration(Math.floor(chapter.start_time))} - ${formatDuration(Math.floor(chapter.end_time))}</span>
+        </div>
+    `).join('');
+}
+
+function initChapters() {
+  // 点击章节：在片段选择中选中该章节
+  elements.chapterList.addEventListener('click', (e) => {
+    const item = e.target.closest('.chapter-item');
+    if (!item) return;
+
+    elements.splitChaptersToggle.checked = false;
+    elements.clipChapter.value = item.dataset.chapter;
+    elements.clipChapter.dispatchEvent(new Event('change'));
+    showToast(`已选择第 ${item.dataset.chapter} 章`);
+  });
+
+  // 按章节拆分和截取片段只能二选一
+  elements.splitChaptersToggle.addEventListener('change', () => {
+    if (elements.splitChaptersToggle.checked) elements.clipResetBtn.click();
+  });
+  [elements.clipStart, elements.clipEnd, elements.clipChapter].forEach(input => {
+    input.addEventListener('input', () => { elements.splitChaptersToggle.checked = false; });
+  });
+}
+
+// ===== Clip Selector =====
+/**
+ * 解析时间点：支持秒数和 [hh:]mm:ss 形式，无法解析时返回 null
+ */
+function parseTimestamp(value) {
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * 重置片段选择，有章节时提供章节下拉框
+ */
+function renderClipSelector(videoInfo, chapters) {
+  elements.clipStart.value = '';
+  elements.clipEnd.value = '';
+  elements.clipStart.disabled = false;
+  elements.clipEnd.disabled = false;
+  elements.clipHint.textContent = `留空下载完整视频 · 总时长 ${formatDuration(videoInfo.duration)}`;
+
+  elements.clipChapter.innerHTML = '<option value="">按章节截取</option>' + chapters.map((chapter, i) => `
+        <option value="${i + 1}">${i + 1}. ${escapeHtml(chapter.title)} (${formatDuration(Math.floor(chapter.start_time))})</option>
+    `).join('');
+  elements.clipChapter.value = '';
+  elements.clipChapter.classList.toggle('hidden', chapters.length === 0);
+}
+
+/**
+ * 生成片段下载的查询参数
+ * @returns {string|null} - 未截取时为空字符串，时间无效时返回 null
+ */
+function getClipQuery() {
+  const chapter = elements.clipChapter.value;
+  if (chapter) return `&chapter=${encodeURIComponent(chapter)}`;
+
+  const startText = elements.clipStart.value.trim();
+  const endText = elements.clipEnd.value.trim();
+  if (!startText && !endText) return '';
+
+  const start = startText ? parseTimestamp(startText) : 0;
+  const end = endText ? parseTimestamp(endText) : null;
+  const duration = currentState.videoInfo?.duration;
+
+  if (start === null || (endText && (end === null || end <= start))) return null;
+  if (duration && (start >= duration || (end !== null && end > duration))) return null;
+
+  const params = new URLSearchParams({ start: String(start) });
+  if (end !== null) params.set('end', String(end));
+  return `&${params}`;
+}
+
+function initClipSelector() {
+  // 选择章节后不能再手动输入时间
+  elements.clipChapter.addEventListener('change', () => {
+    const byChapter = Boolean(elements.clipChapter.value);
+    elements.clipStart.disabled = byChapter;
+    elements.clipEnd.disabled = byChapter;
+  });
+
+  elements.clipResetBtn.addEventListener('click', () => {
+    elements.clipChapter.value = '';
+    elements.clipStart.value = '';
+    elements.clipEnd.value = '';
+    elements.clipStart.disabled = false;
+    elements.clipEnd.disabled = false;
+  });
 }
 
 function renderFormatOptions(formats) {
@@ -188,20 +417,20 @@ function renderFormatOptions(formats) {
   // 推荐格式（为 MP3 添加特殊样式）
   const recommendedHtml = formats.formats.recommended.map((fmt, index) => {
     return `
-        <div class="quality-option ${index === 0 ? 'selected' : ''}" 
-             data-format="${fmt.format_id}">
-            <span class="quality-label">${fmt.label}</span>
-            <span class="quality-note">${fmt.note}</span>
+        <div class="quality-option ${fmt.needsConvert ? 'audio-preset' : ''} ${index === 0 ? 'selected' : ''}" 
+             data-format="${escapeHtml(fmt.format_id)}">
+            <span class="quality-label">${escapeHtml(fmt.label)}</span>
+            <span class="quality-note">${escapeHtml(fmt.note)}</span>
         </div>
     `;
   }).join('');
 
   // 详细视频格式
   const videoFormatsHtml = formats.formats.video.slice(0, 10).map(fmt => `
-        <div class="quality-option detailed" data-format="${fmt.format_id}">
-            <span class="quality-label">${fmt.height ? fmt.height + 'p' : fmt.resolution}</span>
+        <div class="quality-option detailed" data-format="${escapeHtml(fmt.format_id)}">
+            <span class="quality-label">${fmt.height ? fmt.height + 'p' : escapeHtml(fmt.resolution)}</span>
             <span class="quality-meta">
-                ${fmt.ext} · ${fmt.fps ? fmt.fps + 'fps' : ''} ${formatFileSize(fmt.filesize)}
+                ${escapeHtml(fmt.ext)} · ${fmt.fps ? fmt.fps + 'fps' : ''} ${formatFileSize(fmt.filesize)}
             </span>
         </div>
     `).join('');
@@ -209,17 +438,37 @@ function renderFormatOptions(formats) {
   // 音频预设（MP3、M4A等）
   const audioPresetsHtml = (formats.formats.audioPresets || []).map((fmt, index) => `
         <div class="audio-option preset ${index === 0 ? 'selected' : ''}" 
-             data-format="${fmt.format_id}"
+             data-format="${escapeHtml(fmt.format_id)}"
              data-needs-convert="${fmt.needsConvert || false}">
-            <span class="audio-label">${fmt.label}</span>
-            <span class="audio-meta">${fmt.note}</span>
+            <span class="audio-label">${escapeHtml(fmt.label)}</span>
+            <span class="audio-meta">${escapeHtml(fmt.note)}</span>
+        </div>
+    `).join('');
+
+  // 字幕：手动上传的在前，自动生成的标注"自动"
+  const subtitles = formats.subtitles || [];
+  const subtitlesHtml = subtitles.length === 0
+    ? '<p class="subtitle-empty">该视频没有可用字幕</p>'
+    : subtitles.map(track => `
+        <div class="subtitle-row">
+            <label class="subtitle-track">
+                <input type="checkbox" class="subtitle-checkbox" data-lang="${escapeHtml(track.lang)}" data-auto="${track.automatic}">
+                <span class="subtitle-name">${escapeHtml(track.name)}</span>
+                <span class="subtitle-lang">${escapeHtml(track.lang)}</span>
+                ${track.automatic ? '<span class="subtitle-auto">自动</span>' : ''}
+            </label>
+            <div class="subtitle-downloads">
+                ${['srt', 'vtt', 'ass'].map(fmt => `
+                    <button class="subtitle-download" data-lang="${escapeHtml(track.lang)}" data-auto="${track.automatic}" data-format="${fmt}">${fmt.toUpperCase()}</button>
+                `).join('')}
+            </div>
         </div>
     `).join('');
 
   // 原始音频格式
   const audioFormatsHtml = formats.formats.audio.slice(0, 5).map(fmt => `
-        <div class="audio-option" data-format="${fmt.format_id}">
-            <span class="audio-label">${fmt.ext.toUpperCase()}</span>
+        <div class="audio-option" data-format="${escapeHtml(fmt.format_id)}">
+            <span class="audio-label">${escapeHtml(fmt.ext.toUpperCase())}</span>
             <span class="audio-meta">${fmt.abr ? fmt.abr + 'kbps' : ''} ${formatFileSize(fmt.filesize)}</span>
         </div>
     `).join('');
@@ -250,6 +499,15 @@ function renderFormatOptions(formats) {
                 </svg>
                 音频
             </button>
+            <button class="format-tab" data-type="subtitles">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="2" y="4" width="20" height="16" rx="2" ry="2"></rect>
+                    <line x1="6" y1="12" x2="11" y2="12"></line>
+                    <line x1="13" y1="12" x2="18" y2="12"></line>
+                    <line x1="6" y1="16" x2="15" y2="16"></line>
+                </svg>
+                字幕
+            </button>
         </div>
         
         <div id="recommendedFormats" class="format-options">
@@ -263,9 +521,30 @@ function renderFormatOptions(formats) {
         <div id="audioFormats" class="format-options hidden">
             <p class="audio-section-label">常用格式</p>
             <div class="audio-options">${audioPresetsHtml}</div>
+            <label class="loudnorm-toggle" title="使用 ffmpeg loudnorm 按 EBU R128 统一音量（需要重新编码，仅对转换格式生效）">
+                <input type="checkbox" id="loudnormToggle">
+                <span>响度标准化 (EBU R128)</span>
+            </label>
             <p class="audio-section-label" style="margin-top: 16px;">原始格式</p>
             <div class="audio-options">${audioFormatsHtml}</div>
         </div>
+        
+        <label class="compatible-toggle" title="优先下载 H.264 + AAC 的流并合并为 MP4，必要时用 ffmpeg 重新封装或转码（仅视频）">
+            <input type="checkbox" id="compatibleMp4Toggle">
+            <span>兼容 MP4 (H.264 + AAC)</span>
+        </label>
+        
+        <div id="subtitleFormats" class="format-options hidden">
+            <div class="subtitle-mode">
+                <span class="audio-section-label">下载视频时</span>
+                <select id="subtitleMode" class="subtitle-mode-select" ${subtitles.length === 0 ? 'disabled' : ''}>
+                    <option value="none">不附带字幕</option>
+                    <option value="embed">内嵌到视频</option>
+                    <option value="sidecar">单独字幕文件 (SRT，打包为 zip)</option>
+                </select>
+            </div>
+            <div class="subtitle-list">${subtitlesHtml}</div>
+        </div>
     `;
 
   // 添加样式
@@ -274,8 +553,12 @@ function renderFormatOptions(formats) {
   // 绑定事件
   bindFormatEvents();
 
-  // 默认选中第一个推荐格式
+  // 默认选中第一个推荐格式，不附带字幕
   currentState.selectedFormat = formats.formats.recommended[0].format_id;
+  currentState.selectedIsAudio = document.querySelector('#recommendedFormats .quality-option').classList.contains('audio-preset');
+  currentState.subtitleOptions = { mode: 'none', tracks: [] };
+  currentState.loudnorm = false;
+  currentState.compatibleMp4 = false;
   updateDownloadButton();
 }
 
@@ -377,6 +660,104 @@ function addFormatStyles() {
             border-color: var(--accent-secondary, #00d4aa);
         }
         
+        .subtitle-mode {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            margin-bottom: 12px;
+        }
+        
+        .subtitle-mode .audio-section-label {
+            margin-bottom: 0;
+        }
+        
+        .subtitle-mode-select {
+            background: var(--bg-card);
+            border: 1px solid var(--border-color);
+            border-radius: var(--radius-sm, 6px);
+            color: var(--text-primary);
+            padding: 6px 10px;
+        }
+        
+        .subtitle-list {
+            max-height: 280px;
+            overflow-y: auto;
+            border: 1px solid var(--border-color);
+            border-radius: var(--radius-md);
+        }
+        
+        .subtitle-row {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 8px 12px;
+            border-bottom: 1px solid var(--border-color);
+        }
+        
+        .subtitle-row:last-child {
+            border-bottom: none;
+        }
+        
+        .subtitle-track {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            min-width: 0;
+            cursor: pointer;
+        }
+        
+        .subtitle-name {
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        
+        .subtitle-lang, .subtitle-empty {
+            font-size: 0.8rem;
+            color: var(--text-muted);
+        }
+        
+        .subtitle-auto {
+            font-size: 0.7rem;
+            padding: 1px 6px;
+            border-radius: 4px;
+            background: var(--bg-card-hover);
+            color: var(--text-muted);
+        }
+        
+        .subtitle-downloads {
+            display: flex;
+            gap: 6px;
+            flex-shrink: 0;
+        }
+        
+        .subtitle-download {
+            background: transparent;
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            color: var(--text-secondary, var(--text-muted));
+            font-size: 0.75rem;
+            padding: 3px 8px;
+            cursor: pointer;
+        }
+        
+        .subtitle-download:hover {
+            border-color: var(--accent-primary);
+            color: var(--text-primary);
+        }
+        
+        .loudnorm-toggle,
+        .compatible-toggle {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-top: 12px;
+            font-size: 0.85rem;
+            color: var(--text-secondary);
+            cursor: pointer;
+        }
+        
         .quality-option.audio-preset {
             border-color: #00c853;
         }
@@ -447,6 +828,8 @@ function bindFormatEvents() {
         document.getElementById('videoFormats').classList.remove('hidden');
       } else if (type === 'audio') {
         document.getElementById('audioFormats').classList.remove('hidden');
+      } else if (type === 'subtitles') {
+        document.getElementById('subtitleFormats').classList.remove('hidden');
       }
     });
   });
@@ -459,9 +842,63 @@ function bindFormatEvents() {
       });
       option.classList.add('selected');
       currentState.selectedFormat = option.dataset.format;
+      currentState.selectedIsAudio = option.classList.contains('audio-option') || option.classList.contains('audio-preset');
       updateDownloadButton();
     });
   });
+
+  document.getElementById('loudnormToggle').addEventListener('change', (e) => {
+    currentState.loudnorm = e.target.checked;
+  });
+
+  document.getElementById('compatibleMp4Toggle').addEventListener('change', (e) => {
+    currentState.compatibleMp4 = e.target.checked;
+  });
+
+  // 字幕：随视频下载的语言和方式
+  const subtitlePanel = document.getElementById('subtitleFormats');
+  subtitlePanel.addEventListener('change', () => {
+    const mode = document.getElementById('subtitleMode').value;
+    const tracks = [...subtitlePanel.querySelectorAll('.subtitle-checkbox:checked')]
+      .map(checkbox => ({ lang: checkbox.dataset.lang, automatic: checkbox.dataset.auto === 'true' }));
+
+    // 勾选了语言但未选择方式时默认内嵌
+    if (tracks.length > 0 && mode === 'none' && !currentState.subtitleOptions.tracks.length) {
+      document.getElementById('subtitleMode').value = 'embed';
+    }
+
+    currentState.subtitleOptions = { mode: document.getElementById('subtitleMode').value, tracks };
+  });
+
+  // 单独下载字幕文件
+  subtitlePanel.querySelectorAll('.subtitle-download').forEach(button => {
+    button.addEventListener('click', () => {
+      const params = new URLSearchParams({
+        url: currentState.url,
+        lang: button.dataset.lang,
+        format: button.dataset.format,
+        auto: button.dataset.auto === 'true' ? '1' : '0',
+      });
+      triggerDownload(`${API_BASE}/api/subtitles?${params}`);
+      showToast('字幕下载已开始...');
+    });
+  });
+}
+
+/**
+ * 生成随视频下载字幕的查询参数（音频格式或未选择字幕时为空）
+ */
+function getSubtitleQuery() {
+  const { mode, tracks } = currentState.subtitleOptions;
+  if (currentState.selectedIsAudio || mode === 'none' || tracks.length === 0) return '';
+
+  const params = new URLSearchParams({
+    subs: [...new Set(tracks.map(track => track.lang))].join(','),
+    subsMode: mode,
+  });
+  if (tracks.some(track => track.automatic)) params.set('subsAuto', '1');
+
+  return `&${params}`;
 }
 
 function updateDownloadButton() {
@@ -482,11 +919,20 @@ function showPlaylistSection(playlistData) {
   elements.videoSection.classList.add('hidden');
   elements.playlistSection.classList.remove('hidden');
 
-  currentState.playlistVideos = playlistData.videos || [];
+  currentState.playlistVideos = [];
   currentState.selectedVideos = new Set();
+  currentState.playlistPaging = {
+    url: currentState.url,
+    total: playlistData.total,
+    nextStart: playlistData.start || 1,
+    hasMore: Boolean(playlistData.hasMore),
+    loading: false,
+  };
 
-  elements.playlistTitle.textContent = playlistData.title || '播放列表';
-  elements.playlistCount.textContent = `共 ${currentState.playlistVideos.length} 个视频`;
+  elements.playlistItems.innerHTML = '';
+  addPlaylistStyles();
+  appendPlaylistVideos(playlistData);
+  renderPlaylistHeader(playlistData);
 
   if (currentState.playlistVideos.length === 0) {
     elements.playlistItems.innerHTML = `
@@ -494,24 +940,29 @@ function showPlaylistSection(playlistData) {
                 <p>播放列表为空或无法访问</p>
             </div>
         `;
-    return;
   }
 
-  elements.playlistItems.innerHTML = currentState.playlistVideos.map((video, index) => `
-        <div class="playlist-item" data-index="${index}" data-video-id="${video.id}">
-            <input type="checkbox" class="playlist-checkbox" data-index="${index}">
+  updatePlaylistButtons();
+}
+
+function renderPlaylistItem(video) {
+  return `
+        <div class="playlist-item" data-index="${video.index}" data-video-id="${escapeHtml(video.id)}">
+            <input type="checkbox" class="playlist-checkbox" data-index="${video.index}">
             <img class="playlist-item-thumb" 
-                 src="https://img.youtube.com/vi/${video.id}/mqdefault.jpg" 
-                 alt="${video.title}"
-                 onerror="this.src='https://img.youtube.com/vi/${video.id}/default.jpg'">
+                 src="${escapeHtml(video.thumbnail || `https://img.youtube.com/vi/${video.id}/mqdefault.jpg`)}" 
+                 alt="${escapeHtml(video.title)}"
+                 loading="lazy"
+                 onerror="this.onerror=null;this.src='https://img.youtube.com/vi/${encodeURIComponent(video.id)}/default.jpg'">
             <div class="playlist-item-info">
-                <div class="playlist-item-title" title="${video.title}">${video.title}</div>
+                <div class="playlist-item-title" title="${escapeHtml(video.title)}">${escapeHtml(video.title)}</div>
                 <div class="playlist-item-meta">
-                    <span class="playlist-item-author">${video.uploader || '未知'}</span>
+                    <span class="playlist-item-author">${escapeHtml(video.uploader || '未知')}</span>
                     <span class="playlist-item-duration">${formatDuration(video.duration)}</span>
+                    ${AVAILABILITY_LABELS[video.availability] ? `<span class="playlist-item-availability">${AVAILABILITY_LABELS[video.availability]}</span>` : ''}
                 </div>
             </div>
-            <button class="playlist-item-download" data-video-url="${video.url}" title="单独下载">
+            <button class="playlist-item-download" data-video-url="${escapeHtml(video.url)}" title="单独下载">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
                     <polyline points="7 10 12 15 17 10"></polyline>
@@ -519,11 +970,104 @@ function showPlaylistSection(playlistData) {
                 </svg>
             </button>
         </div>
-    `).join('');
+    `;
+}
 
-  addPlaylistStyles();
-  bindPlaylistEvents();
-  updatePlaylistButtons();
+/**
+ * 追加一页播放列表视频，滚动到底部时自动加载下一页
+ */
+function appendPlaylistVideos(page) {
+  const paging = currentState.playlistPaging;
+  const videos = (page.videos || []).map((video, i) => ({ ...video, index: video.index ?? paging.nextStart - 1 + i }));
+
+  videos.forEach(video => { currentState.playlistVideos[video.index] = video; });
+  paging.nextStart += videos.length;
+  paging.hasMore = Boolean(page.hasMore) && videos.length > 0;
+  if (page.total) paging.total = page.total;
+
+  let sentinel = elements.playlistItems.querySelector('.playlist-sentinel');
+  if (sentinel) sentinel.remove();
+
+  elements.playlistItems.insertAdjacentHTML('beforeend', videos.map(renderPlaylistItem).join(''));
+
+  if (paging.hasMore) {
+    sentinel = document.createElement('div');
+    sentinel.className = 'playlist-sentinel';
+    sentinel.textContent = '加载更多...';
+    elements.playlistItems.appendChild(sentinel);
+    observePlaylistSentinel(sentinel);
+  }
+}
+
+let playlistObserver = null;
+
+function observePlaylistSentinel(sentinel) {
+  if (!playlistObserver) {
+    playlistObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) loadMorePlaylistVideos();
+    }, { root: elements.playlistItems, rootMargin: '200px' });
+  }
+  playlistObserver.disconnect();
+  playlistObserver.observe(sentinel);
+}
+
+async function loadMorePlaylistVideos() {
+  const paging = currentState.playlistPaging;
+  if (!paging || !paging.hasMore || paging.loading) return;
+
+  paging.loading = true;
+  try {
+    const result = await fetchVideoInfo(paging.url, { start: paging.nextStart, limit: PLAYLIST_PAGE_SIZE });
+    // 加载期间用户可能已解析了其他链接
+    if (currentState.playlistPaging !== paging) return;
+
+    appendPlaylistVideos(result.data);
+    renderPlaylistHeader(result.data);
+    updatePlaylistButtons();
+  } catch (error) {
+    console.error('Failed to load playlist page:', error);
+    showToast(`❌ 加载更多失败: ${describeError(error.message, error.code)}`);
+  } finally {
+    paging.loading = false;
+  }
+
+  // 加载的一页不足以填满列表时继续加载
+  const sentinel = elements.playlistItems.querySelector('.playlist-sentinel');
+  if (sentinel && sentinel.offsetTop - elements.playlistItems.scrollTop < elements.playlistItems.clientHeight + 200) {
+    loadMorePlaylistVideos();
+  }
+}
+
+// 非公开内容的提示
+const AVAILABILITY_LABELS = {
+  unlisted: '不公开',
+  private: '私享',
+  needs_auth: '需要登录',
+  subscriber_only: '会员专享',
+  premium_only: 'Premium',
+};
+
+function renderPlaylistHeader(playlistData) {
+  elements.playlistTitle.textContent = playlistData.title || '播放列表';
+
+  const { total } = currentState.playlistPaging;
+  const loaded = currentState.playlistVideos.length;
+  const meta = [
+    playlistData.uploader,
+    total ? `共 ${total} 个视频` : `${loaded} 个视频`,
+    total && loaded < total ? `已加载 ${loaded}` : null,
+    AVAILABILITY_LABELS[playlistData.availability],
+  ].filter(Boolean);
+  elements.playlistCount.textContent = meta.join(' · ');
+
+  elements.playlistThumbnail.classList.toggle('hidden', !playlistData.thumbnail);
+  if (playlistData.thumbnail) {
+    elements.playlistThumbnail.src = playlistData.thumbnail;
+  }
+
+  elements.playlistDescription.classList.toggle('hidden', !playlistData.description);
+  elements.playlistDescription.textContent = playlistData.description || '';
+  elements.playlistDescription.title = playlistData.description || '';
 }
 
 function addPlaylistStyles() {
@@ -597,6 +1141,55 @@ function addPlaylistStyles() {
             color: var(--text-muted);
         }
         
+        .playlist-sentinel {
+            text-align: center;
+            padding: 12px;
+            font-size: 0.85rem;
+            color: var(--text-muted);
+        }
+        
+        .playlist-item-availability {
+            color: var(--text-secondary);
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            padding: 0 6px;
+        }
+        
+        .playlist-item-progress {
+            color: var(--accent-primary);
+            font-weight: 500;
+        }
+        
+        .playlist-item-controls {
+            flex-shrink: 0;
+        }
+        
+        .skip-downloaded-toggle {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            font-size: 0.85rem;
+            color: var(--text-secondary);
+            cursor: pointer;
+            user-select: none;
+        }
+        
+        .queue-item-btn {
+            background: var(--bg-secondary);
+            border: 1px solid var(--border-color);
+            border-radius: var(--radius-sm);
+            color: var(--text-secondary);
+            font-size: 0.8rem;
+            padding: 6px 10px;
+            cursor: pointer;
+            transition: all var(--transition-fast);
+        }
+        
+        .queue-item-btn:hover {
+            border-color: var(--accent-primary);
+            color: var(--accent-primary);
+        }
+        
         .playlist-item-download {
             background: var(--bg-secondary);
             border: 1px solid var(--border-color);
@@ -626,35 +1219,38 @@ function addPlaylistStyles() {
   document.head.appendChild(styles);
 }
 
+/**
+ * 绑定播放列表事件（初始化时调用一次）
+ * 列表条目随分页加载动态追加，使用事件委托
+ */
 function bindPlaylistEvents() {
   // 复选框事件
-  document.querySelectorAll('.playlist-checkbox').forEach(checkbox => {
-    checkbox.addEventListener('change', (e) => {
-      const index = parseInt(e.target.dataset.index);
-      const item = e.target.closest('.playlist-item');
-
-      if (e.target.checked) {
-        currentState.selectedVideos.add(index);
-        item.classList.add('selected');
-      } else {
-        currentState.selectedVideos.delete(index);
-        item.classList.remove('selected');
-      }
+  elements.playlistItems.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('playlist-checkbox')) return;
 
-      updatePlaylistButtons();
-    });
+    const index = parseInt(e.target.dataset.index);
+    const item = e.target.closest('.playlist-item');
+
+    if (e.target.checked) {
+      currentState.selectedVideos.add(index);
+      item.classList.add('selected');
+    } else {
+      currentState.selectedVideos.delete(index);
+      item.classList.remove('selected');
+    }
+
+    updatePlaylistButtons();
   });
 
   // 单独下载按钮
-  document.querySelectorAll('.playlist-item-download').forEach(btn => {
-    btn.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      const videoUrl = btn.dataset.videoUrl;
-      await handleSingleDownload(videoUrl);
-    });
+  elements.playlistItems.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.playlist-item-download');
+    if (!btn) return;
+    e.stopPropagation();
+    await handleSingleDownload(btn.dataset.videoUrl);
   });
 
-  // 全选按钮
+  // 全选按钮（选择已加载的视频）
   elements.selectAllBtn.addEventListener('click', () => {
     const allSelected = currentState.selectedVideos.size === currentState.playlistVideos.length;
 
@@ -690,66 +1286,14 @@ function bindPlaylistEvents() {
   elements.downloadSelectedMp3Btn.addEventListener('click', async () => {
     if (currentState.selectedVideos.size === 0) return;
 
-    const urls = [];
-    for (const index of currentState.selectedVideos) {
-      urls.push(currentState.playlistVideos[index].url);
-    }
+    // 队列条目序号 -> 播放列表序号
+    const playlistIndexes = [...currentState.selectedVideos];
+    const urls = playlistIndexes.map(index => currentState.playlistVideos[index].url);
 
     showToast(`正在创建下载任务 (${urls.length} 个文件)...`);
 
     try {
-      // 创建批量下载任务
-      const createRes = await fetch(`${API_BASE}/api/queue/create`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ urls, format: 'bestaudio--mp3' })
-      });
-      const { taskId, total } = await createRes.json();
-
-      showToast(`后台下载中... (0/${total})`);
-
-      // 轮询状态并逐个下载
-      let downloadedCount = 0;
-
-      const pollInterval = setInterval(async () => {
-        try {
-          // 获取任务状态
-          const statusRes = await fetch(`${API_BASE}/api/queue/status/${taskId}`);
-          const status = await statusRes.json();
-
-          // 检查是否有新完成的文件
-          const nextRes = await fetch(`${API_BASE}/api/queue/next/${taskId}`);
-          const next = await nextRes.json();
-
-          if (next.hasFile) {
-            // 触发下载
-            const downloadUrl = `${API_BASE}/api/queue/download/${taskId}/${next.index}`;
-            const a = document.createElement('a');
-            a.href = downloadUrl;
-            a.style.display = 'none';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-
-            downloadedCount++;
-            showToast(`下载中... (${downloadedCount}/${total}) - ${next.filename}`);
-          }
-
-          // 检查是否全部完成
-          if (status.status === 'completed' && downloadedCount >= total) {
-            clearInterval(pollInterval);
-            showToast(`✅ 全部下载完成 (${total} 个文件)`);
-
-            // 清理任务
-            setTimeout(() => {
-              fetch(`${API_BASE}/api/queue/${taskId}`, { method: 'DELETE' });
-            }, 5000);
-          }
-        } catch (err) {
-          console.error('Poll error:', err);
-        }
-      }, 2000); // 每 2 秒轮询一次
-
+      await startQueueDownload(urls, 'bestaudio--mp3', playlistIndexes);
     } catch (error) {
       console.error('Queue error:', error);
       showToast('创建下载任务失败: ' + error.message);
@@ -757,6 +1301,228 @@ function bindPlaylistEvents() {
   });
 }
 
+// ===== 批量下载队列 =====
+async function startQueueDownload(urls, format, playlistIndexes) {
+  // 创建批量下载任务
+  const createRes = await fetch(`${API_BASE}/api/queue/create`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      urls,
+      format,
+      title: elements.playlistTitle.textContent,
+      skipDownloaded: elements.skipDownloadedToggle.checked,
+      positions: playlistIndexes.map(index => index + 1), // 音轨序号
+    })
+  });
+  if (!createRes.ok) throw await toApiError(createRes, '创建任务失败');
+  const result = await createRes.json();
+
+  stopQueueWatcher();
+  currentState.queueTask = {
+    taskId: result.taskId,
+    total: result.total,
+    playlistIndexes, // 队列条目序号 -> 播放列表序号
+    status: 'processing',
+    finishedCount: 0,
+  };
+
+  showToast(`后台下载中... (0/${result.total})`);
+  watchQueueTask();
+}
+
+function watchQueueTask() {
+  const task = currentState.queueTask;
+  if (!task || task.source) return;
+
+  const { taskId } = task;
+
+  // 实时显示每个条目的进度和状态
+  task.source = watchEvents(`/api/queue/events/${taskId}`, {
+    snapshot: (status) => status.items.forEach((item, index) => renderQueueItem(index, item.status, null, item)),
+    progress: (data) => renderQueueItem(data.index, 'downloading', formatProgress(data)),
+    retry: (data) => renderQueueItem(data.index, 'downloading', `⟳ 第 ${data.attempt} 次重试...`),
+    item: (data) => renderQueueItem(data.index, data.status, null, data),
+    task: (data) => {
+      task.status = data.status;
+      updateQueueControls();
+    },
+  });
+
+  // 轮询任务状态，全部结束后一次性下载
+  task.pollInterval = setInterval(async () => {
+    try {
+      const statusRes = await fetch(`${API_BASE}/api/queue/status/${taskId}`);
+      const status = await statusRes.json();
+      task.status = status.status;
+
+      if (status.current !== task.finishedCount) {
+        task.finishedCount = status.current;
+        showToast(`后台下载中... (${status.current}/${status.total})`);
+      }
+
+      if (status.status === 'completed' || status.status === 'cancelled') {
+        stopQueueWatcher();
+
+        const unfinished = status.total - status.completed - status.skipped;
+        if (status.completed > 0) {
+          // 没有失败项时下载完成后由服务端清理任务，否则保留以便重试
+          downloadQueueResult(taskId, status, unfinished === 0);
+        }
+
+        // 媒体库模式下新文件已加入下载历史
+        if (!libraryElements.section.classList.contains('hidden')) loadLibrary(1);
+
+        if (unfinished === 0 && status.completed === 0) {
+          showToast(`⏭ 所选视频之前都已下载过，已全部跳过`, 4000);
+          fetch(`${API_BASE}/api/queue/${taskId}`, { method: 'DELETE' }).catch(() => { });
+          currentState.queueTask = null;
+        } else if (unfinished === 0) {
+          const skippedText = status.skipped > 0 ? `，跳过 ${status.skipped} 个已下载` : '';
+          showToast(`✅ 全部下载完成 (${status.completed} 个文件${skippedText})`);
+          currentState.queueTask = null;
+        } else {
+          showToast(`下载结束：${status.completed} 个成功，${unfinished} 个失败或已取消`, 4000);
+        }
+      }
+      updateQueueControls();
+    } catch (err) {
+      console.error('Poll error:', err);
+    }
+  }, 2000); // 每 2 秒轮询一次
+
+  updateQueueControls();
+}
+
+/**
+ * 下载任务结果：单个文件直接下载，多个文件打包为 zip
+ * 避免逐个触发下载被浏览器拦截
+ */
+function downloadQueueResult(taskId, status, cleanup) {
+  const query = cleanup ? '?cleanup=1' : '';
+
+  if (status.completed === 1) {
+    const index = status.items.findIndex(item => item.status === 'completed');
+    triggerDownload(`${API_BASE}/api/queue/download/${taskId}/${index}${query}`);
+  } else {
+    triggerDownload(`${API_BASE}/api/queue/archive/${taskId}${query}`);
+  }
+}
+
+function stopQueueWatcher() {
+  const task = currentState.queueTask;
+  if (!task) return;
+
+  task.source?.close();
+  clearInterval(task.pollInterval);
+  task.source = null;
+  task.pollInterval = null;
+}
+
+async function queueAction(action) {
+  const task = currentState.queueTask;
+  if (!task) return;
+
+  try {
+    const response = await fetch(`${API_BASE}/api/queue/${task.taskId}/${action}`, { method: 'POST' });
+    if (!response.ok) throw await toApiError(response, '操作失败');
+    const result = await response.json();
+
+    task.status = result.status;
+    result.items.forEach((item, index) => renderQueueItem(index, item.status, null, item));
+
+    // 重试后任务重新开始，需要恢复轮询
+    if (task.status === 'processing' || task.status === 'paused') {
+      watchQueueTask();
+    }
+    updateQueueControls();
+  } catch (error) {
+    showToast('❌ ' + describeError(error.message, error.code));
+  }
+}
+
+/**
+ * 更新队列条目在播放列表中的状态和按钮
+ * @param {object} [detail] - 条目详情，失败时包含 error/errorCode
+ */
+function renderQueueItem(queueIndex, status, progressText, detail) {
+  const task = currentState.queueTask;
+  if (!task) return;
+
+  const playlistIndex = task.playlistIndexes[queueIndex];
+  const labels = {
+    pending: task.status === 'paused' ? '⏸ 已暂停' : '排队中',
+    downloading: '等待进度...',
+    completed: '✅ 已完成',
+    skipped: '⏭ 已下载过',
+    error: '❌ 失败',
+    cancelled: '已取消',
+  };
+  const errorHint = status === 'error' && detail ? describeError(detail.error, detail.errorCode) : '';
+  setPlaylistItemProgress(playlistIndex, progressText || labels[status] || '', errorHint);
+
+  const item = elements.playlistItems.querySelector(`.playlist-item[data-index="${playlistIndex}"]`);
+  if (!item) return;
+
+  let controls = item.querySelector('.playlist-item-controls');
+  if (!controls) {
+    controls = document.createElement('div');
+    controls.className = 'playlist-item-controls';
+    item.insertBefore(controls, item.querySelector('.playlist-item-download'));
+  }
+
+  if (status === 'pending' || status === 'downloading') {
+    controls.innerHTML = `<button class="queue-item-btn" data-queue-action="items/${queueIndex}/cancel" title="取消">取消</button>`;
+  } else if (status === 'error' || status === 'cancelled') {
+    controls.innerHTML = `<button class="queue-item-btn" data-queue-action="items/${queueIndex}/retry" title="重试">重试</button>`;
+  } else {
+    controls.innerHTML = '';
+  }
+}
+
+function updateQueueControls() {
+  const task = currentState.queueTask;
+  const running = task && (task.status === 'processing' || task.status === 'paused');
+
+  elements.pauseTaskBtn.classList.toggle('hidden', !running);
+  elements.cancelTaskBtn.classList.toggle('hidden', !running);
+  elements.retryTaskBtn.classList.toggle('hidden', !task || running);
+
+  if (running) {
+    elements.pauseTaskBtn.textContent = task.status === 'paused' ? '▶ 继续' : '⏸ 暂停';
+  }
+}
+
+function initQueueControls() {
+  elements.pauseTaskBtn.addEventListener('click', () => {
+    queueAction(currentState.queueTask?.status === 'paused' ? 'resume' : 'pause');
+  });
+  elements.cancelTaskBtn.addEventListener('click', () => queueAction('cancel'));
+  elements.retryTaskBtn.addEventListener('click', () => queueAction('retry'));
+
+  // 条目按钮在重新渲染时会被替换，使用事件委托
+  elements.playlistItems.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-queue-action]');
+    if (!btn) return;
+    e.stopPropagation();
+    queueAction(btn.dataset.queueAction);
+  });
+}
+
+function setPlaylistItemProgress(playlistIndex, text, title = '') {
+  const item = elements.playlistItems.querySelector(`.playlist-item[data-index="${playlistIndex}"]`);
+  if (!item) return;
+
+  let label = item.querySelector('.playlist-item-progress');
+  if (!label) {
+    label = document.createElement('span');
+    label.className = 'playlist-item-progress';
+    item.querySelector('.playlist-item-meta').appendChild(label);
+  }
+  label.textContent = text;
+  label.title = title;
+}
+
 function updatePlaylistButtons() {
   const count = currentState.selectedVideos.size;
   elements.downloadSelectedBtn.disabled = count === 0;
@@ -776,42 +1542,49 @@ function updatePlaylistButtons() {
 }
 
 // ===== Download Handler =====
-async function handleSingleDownload(url) {
-  try {
-    const format = currentState.selectedFormat || 'best';
-
-    // 使用代理下载 API，直接触发浏览器下载
-    const proxyDownloadUrl = `${API_BASE}/api/proxy-download?url=${encodeURIComponent(url)}&format=${encodeURIComponent(format)}`;
-
-    // 使用 a 标签触发下载，更可靠
-    const a = document.createElement('a');
-    a.href = proxyDownloadUrl;
-    a.style.display = 'none';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-
-    showToast('下载已开始...');
+// 使用 a 标签触发下载，更可靠
+function triggerDownload(url) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
 
-  } catch (error) {
-    console.error('Download error:', error);
-    showToast('下载失败: ' + error.message);
-  }
+async function handleSingleDownload(url, extraQuery = '') {
+  const format = currentState.selectedFormat || 'best';
+  await handleDownloadWithFormat(url, format, extraQuery);
+  showToast('下载已开始...');
 }
 
 // 指定格式下载
-async function handleDownloadWithFormat(url, format) {
+async function handleDownloadWithFormat(url, format, extraQuery = '') {
   try {
+    const progressId = createProgressId();
+
     // 使用代理下载 API，直接触发浏览器下载
-    const proxyDownloadUrl = `${API_BASE}/api/proxy-download?url=${encodeURIComponent(url)}&format=${encodeURIComponent(format)}`;
+    const proxyDownloadUrl = `${API_BASE}/api/proxy-download?url=${encodeURIComponent(url)}&format=${encodeURIComponent(format)}&progressId=${progressId}${extraQuery}`;
+
+    // 服务端准备文件期间显示实时进度
+    const source = watchEvents(`/api/progress/${progressId}`, {
+      progress: (data) => showToast(formatProgress(data), 5000),
+      done: (data) => {
+        source.close();
+        const conversion = MP4_CONVERSION_LABELS[data.mp4Conversion];
+        showToast(`✅ 开始传输: ${data.filename}${conversion ? ` (${conversion})` : ''}`);
+        if (data.libraryId) loadLibrary(1);
+      },
+      retry: (data) => {
+        showToast(`${describeError(data.error, data.code)}，${Math.round(data.delay / 1000)} 秒后第 ${data.attempt} 次重试...`, 5000);
+      },
+      error: (data) => {
+        source.close();
+        showToast(`❌ ${describeError(data.error, data.code)}`, 5000);
+      },
+    });
 
-    // 使用 a 标签触发下载，更可靠
-    const a = document.createElement('a');
-    a.href = proxyDownloadUrl;
-    a.style.display = 'none';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+    triggerDownload(proxyDownloadUrl);
 
   } catch (error) {
     console.error('Download error:', error);
@@ -830,12 +1603,12 @@ async function handleParse() {
 
   const parsed = parseYouTubeUrl(url);
 
-  if (!parsed.videoId && !parsed.playlistId) {
+  if (!parsed.valid) {
     showError('无效的 YouTube 链接，请检查后重试');
     return;
   }
 
-  currentState.url = url;
+  currentState.url = parsed.url;
   currentState.videoId = parsed.videoId;
 
   setLoading(true);
@@ -848,18 +1621,18 @@ async function handleParse() {
       throw new Error('后端服务未启动，请先运行 npm run dev:server');
     }
 
-    // 获取视频信息和格式
-    const infoResult = await fetchVideoInfo(url);
+    // 一次获取视频信息和格式
+    const result = await fetchAnalysis(parsed.url, { limit: PLAYLIST_PAGE_SIZE });
 
-    if (infoResult.type === 'playlist') {
-      showPlaylistSection(infoResult.data);
+    if (result.type === 'playlist') {
+      showPlaylistSection(result.data);
     } else {
-      const formats = await fetchFormats(url);
-      showVideoSection(infoResult.data, formats);
+      currentState.analysis = result;
+      showVideoSection(result.data, { video: result.data, formats: result.formats, subtitles: result.subtitles });
     }
   } catch (error) {
     console.error('Parse error:', error);
-    showError(error.message || '解析失败，请稍后重试');
+    showError(error.message || '解析失败，请稍后重试', error.code);
   } finally {
     setLoading(false);
   }
@@ -868,6 +1641,14 @@ async function handleParse() {
 async function handleDownload() {
   if (!currentState.url || !currentState.selectedFormat) return;
 
+  // 按章节拆分时不附带字幕和片段
+  const splitChapters = elements.splitChaptersToggle.checked;
+  const clipQuery = splitChapters ? '' : getClipQuery();
+  if (clipQuery === null) {
+    showToast('片段时间无效，请使用 mm:ss 格式且不超过视频时长');
+    return;
+  }
+
   elements.downloadBtn.classList.add('loading');
   elements.downloadBtn.innerHTML = `
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -878,13 +1659,312 @@ async function handleDownload() {
     `;
 
   try {
-    await handleSingleDownload(currentState.url);
+    // 响度标准化只对转换格式（如 bestaudio--mp3-320）生效
+    const loudnormQuery = currentState.loudnorm && currentState.selectedFormat.includes('--') ? '&loudnorm=1' : '';
+    // 兼容 MP4 只对视频格式生效
+    const compatibleQuery = currentState.compatibleMp4 && !currentState.selectedIsAudio ? '&compatible=1' : '';
+    const extraQuery = (splitChapters ? '&split=chapters' : getSubtitleQuery() + clipQuery) + loudnormQuery + compatibleQuery;
+    await handleSingleDownload(currentState.url, extraQuery);
   } finally {
     elements.downloadBtn.classList.remove('loading');
     updateDownloadButton();
   }
 }
 
+// ===== 下载历史（媒体库） =====
+const libraryElements = {
+  section: document.getElementById('librarySection'),
+  count: document.getElementById('libraryCount'),
+  search: document.getElementById('librarySearch'),
+  sort: document.getElementById('librarySort'),
+  items: document.getElementById('libraryItems'),
+  pager: document.getElementById('libraryPager'),
+  prevBtn: document.getElementById('libraryPrevBtn'),
+  nextBtn: document.getElementById('libraryNextBtn'),
+  pageInfo: document.getElementById('libraryPageInfo'),
+};
+
+let libraryState = {
+  page: 1,
+  totalPages: 0,
+};
+
+async function loadLibrary(page = libraryState.page) {
+  const [sort, order] = libraryElements.sort.value.split(':');
+  const params = new URLSearchParams({
+    q: libraryElements.search.value.trim(),
+    sort,
+    order,
+    page,
+    pageSize: 10,
+  });
+
+  try {
+    const response = await fetch(`${API_BASE}/api/library?${params}`);
+    // 未开启媒体库模式时不显示历史面板
+    if (!response.ok) {
+      libraryElements.section.classList.add('hidden');
+      return;
+    }
+
+    const result = await response.json();
+    libraryState.page = result.page;
+    libraryState.totalPages = result.totalPages;
+    libraryElements.section.classList.remove('hidden');
+    renderLibrary(result);
+  } catch (error) {
+    console.error('Failed to load library:', error);
+  }
+}
+
+function renderLibrary(result) {
+  libraryElements.count.textContent = `共 ${result.total} 个文件`;
+
+  if (result.items.length === 0) {
+    libraryElements.items.innerHTML = `<div class="library-empty">${libraryElements.search.value.trim() ? '没有匹配的记录' : '暂无下载记录'}</div>`;
+  } else {
+    libraryElements.items.innerHTML = result.items.map(entry => `
+        <div class="library-item" data-id="${escapeHtml(entry.id)}">
+            <div class="library-item-info">
+                <div class="library-item-title" title="${escapeHtml(entry.title)}">${escapeHtml(entry.title)}</div>
+                <div class="library-item-meta">
+                    ${escapeHtml([entry.uploader, entry.ext.toUpperCase(), formatFileSize(entry.size), new Date(entry.createdAt).toLocaleString()].filter(Boolean).join(' · '))}
+                </div>
+            </div>
+            <div class="library-item-actions">
+                <button class="action-btn" data-library-action="download">下载</button>
+                <button class="action-btn" data-library-action="reparse" data-url="${escapeHtml(entry.url)}">重新解析</button>
+                <button class="action-btn" data-library-action="delete">删除</button>
+            </div>
+        </div>
+    `).join('');
+  }
+
+  libraryElements.pager.classList.toggle('hidden', result.totalPages <= 1);
+  libraryElements.pageInfo.textContent = `${result.page} / ${result.totalPages}`;
+  libraryElements.prevBtn.disabled = result.page <= 1;
+  libraryElements.nextBtn.disabled = result.page >= result.totalPages;
+}
+
+async function handleLibraryAction(button) {
+  const id = button.closest('.library-item').dataset.id;
+
+  switch (button.dataset.libraryAction) {
+    case 'download':
+      triggerDownload(`${API_BASE}/api/library/${id}/file`);
+      break;
+
+    case 'reparse':
+      elements.urlInput.value = button.dataset.url;
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      handleParse();
+      break;
+
+    case 'delete': {
+      if (!confirm('确定删除该文件？')) return;
+      const response = await fetch(`${API_BASE}/api/library/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const error = await toApiError(response, '删除失败');
+        showToast(`❌ ${describeError(error.message, error.code)}`);
+        return;
+      }
+      showToast('🗑️ 已删除');
+      loadLibrary();
+      break;
+    }
+  }
+}
+
+function initLibrary() {
+  let searchTimer = null;
+
+  // 输入停顿后再搜索
+  libraryElements.search.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadLibrary(1), 300);
+  });
+
+  libraryElements.sort.addEventListener('change', () => loadLibrary(1));
+  libraryElements.prevBtn.addEventListener('click', () => loadLibrary(libraryState.page - 1));
+  libraryElements.nextBtn.addEventListener('click', () => loadLibrary(libraryState.page + 1));
+
+  libraryElements.items.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-library-action]');
+    if (button) handleLibraryAction(button);
+  });
+}
+
+// ===== 订阅 =====
+const subscriptionElements = {
+  url: document.getElementById('subscriptionUrl'),
+  format: document.getElementById('subscriptionFormat'),
+  interval: document.getElementById('subscriptionInterval'),
+  includeExisting: document.getElementById('subscriptionIncludeExisting'),
+  addBtn: document.getElementById('addSubscriptionBtn'),
+  items: document.getElementById('subscriptionItems'),
+};
+
+const SUBSCRIPTION_INTERVAL_LABELS = {
+  60: '每小时',
+  360: '每 6 小时',
+  1440: '每天',
+  10080: '每周',
+};
+
+let subscriptionRefreshTimer = null;
+
+async function loadSubscriptions() {
+  try {
+    const response = await fetch(`${API_BASE}/api/subscriptions`);
+    if (!response.ok) throw await toApiError(response, '获取订阅失败');
+    const result = await response.json();
+    renderSubscriptions(result.subscriptions);
+
+    // 有订阅正在同步时稍后刷新状态
+    clearTimeout(subscriptionRefreshTimer);
+    if (result.subscriptions.some(sub => sub.syncing)) {
+      subscriptionRefreshTimer = setTimeout(loadSubscriptions, 3000);
+    }
+  } catch (error) {
+    console.error('Failed to load subscriptions:', error);
+  }
+}
+
+function describeSubscriptionRun(sub) {
+  if (sub.syncing) return { text: '同步中...', error: false };
+  const run = sub.lastRun;
+  if (!run) return { text: '尚未同步', error: false };
+
+  const time = new Date(run.finishedAt || run.startedAt).toLocaleString();
+  if (run.status === 'error') {
+    return { text: `${time} 同步失败：${describeError(run.error, run.errorCode)}`, error: true };
+  }
+  return { text: `${time} 同步完成，${run.newCount > 0 ? `新增 ${run.newCount} 个视频` : '没有新视频'}`, error: false };
+}
+
+function renderSubscriptions(subscriptions) {
+  if (subscriptions.length === 0) {
+    subscriptionElements.items.innerHTML = '<div class="library-empty">暂无订阅</div>';
+    return;
+  }
+
+  subscriptionElements.items.innerHTML = subscriptions.map(sub => {
+    const run = describeSubscriptionRun(sub);
+    const interval = SUBSCRIPTION_INTERVAL_LABELS[sub.intervalMinutes] || `每 ${sub.intervalMinutes} 分钟`;
+    const next = sub.enabled ? `下次 ${new Date(sub.nextRunAt).toLocaleString()}` : '已暂停';
+
+    return `
+        <div class="library-item ${sub.enabled ? '' : 'disabled'}" data-id="${escapeHtml(sub.id)}">
+            <div class="library-item-info">
+                <div class="library-item-title" title="${escapeHtml(sub.url)}">${escapeHtml(sub.title || sub.url)}</div>
+                <div class="library-item-meta">${interval} · 已记录 ${sub.seenCount} 个视频 · ${next}</div>
+                <div class="library-item-meta subscription-status ${run.error ? 'error' : ''}">${escapeHtml(run.text)}</div>
+            </div>
+            <div class="library-item-actions">
+                <button class="action-btn" data-subscription-action="sync" ${sub.syncing ? 'disabled' : ''}>立即同步</button>
+                ${sub.lastRun?.taskId ? `<button class="action-btn" data-subscription-action="download" data-task-id="${escapeHtml(sub.lastRun.taskId)}">下载新视频</button>` : ''}
+                <button class="action-btn" data-subscription-action="toggle" data-enabled="${sub.enabled}">${sub.enabled ? '暂停' : '启用'}</button>
+                <button class="action-btn" data-subscription-action="delete">删除</button>
+            </div>
+        </div>
+    `;
+  }).join('');
+}
+
+async function addSubscription() {
+  const url = subscriptionElements.url.value.trim();
+  if (!url) {
+    showToast('请输入频道或播放列表链接');
+    return;
+  }
+
+  subscriptionElements.addBtn.disabled = true;
+  try {
+    const response = await fetch(`${API_BASE}/api/subscriptions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url,
+        format: subscriptionElements.format.value,
+        intervalMinutes: parseInt(subscriptionElements.interval.value),
+        includeExisting: subscriptionElements.includeExisting.checked,
+      })
+    });
+    if (!response.ok) throw await toApiError(response, '添加订阅失败');
+
+    subscriptionElements.url.value = '';
+    showToast('✅ 已添加订阅，正在首次同步...');
+    loadSubscriptions();
+  } catch (error) {
+    showToast(`❌ ${describeError(error.message, error.code)}`);
+  } finally {
+    subscriptionElements.addBtn.disabled = false;
+  }
+}
+
+/**
+ * 下载订阅最近一次同步加入队列的视频
+ */
+async function downloadSubscriptionTask(taskId) {
+  const response = await fetch(`${API_BASE}/api/queue/status/${taskId}`);
+  if (!response.ok) {
+    showToast('下载任务已被清理');
+    return;
+  }
+
+  const status = await response.json();
+  if (status.completed === 0) {
+    showToast(status.status === 'completed' ? '没有可下载的文件' : `后台下载中... (${status.current}/${status.total})`);
+    return;
+  }
+  downloadQueueResult(taskId, status, false);
+}
+
+async function handleSubscriptionAction(button) {
+  const id = button.closest('.library-item').dataset.id;
+  const action = button.dataset.subscriptionAction;
+
+  try {
+    let response;
+    switch (action) {
+      case 'sync':
+        response = await fetch(`${API_BASE}/api/subscriptions/${id}/sync`, { method: 'POST' });
+        break;
+      case 'download':
+        await downloadSubscriptionTask(button.dataset.taskId);
+        return;
+      case 'toggle':
+        response = await fetch(`${API_BASE}/api/subscriptions/${id}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ enabled: button.dataset.enabled !== 'true' })
+        });
+        break;
+      case 'delete':
+        if (!confirm('确定取消该订阅？')) return;
+        response = await fetch(`${API_BASE}/api/subscriptions/${id}`, { method: 'DELETE' });
+        break;
+    }
+
+    if (!response.ok) throw await toApiError(response, '操作失败');
+    loadSubscriptions();
+  } catch (error) {
+    showToast(`❌ ${describeError(error.message, error.code)}`);
+  }
+}
+
+function initSubscriptions() {
+  subscriptionElements.addBtn.addEventListener('click', addSubscription);
+  subscriptionElements.url.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addSubscription();
+  });
+
+  subscriptionElements.items.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-subscription-action]');
+    if (button) handleSubscriptionAction(button);
+  });
+}
+
 // ===== Cookies 管理 =====
 const cookiesElements = {
   dot: document.getElementById('cookiesDot'),
@@ -1188,6 +2268,22 @@ async function init() {
     }, 100);
   });
 
+  // 绑定播放列表操作
+  bindPlaylistEvents();
+
+  // 初始化批量任务控制按钮
+  initQueueControls();
+
+  // 初始化片段选择和章节列表
+  initClipSelector();
+  initChapters();
+
+  // 初始化下载历史
+  initLibrary();
+
+  // 初始化订阅管理
+  initSubscriptions();
+
   // 初始化 cookies 上传
   initCookiesUpload();
 
@@ -1202,6 +2298,11 @@ async function init() {
 
   // 检查 cookies 状态
   await checkCookiesStatus();
+  // 加载下载历史（仅媒体库模式）
+  await loadLibrary();
+
+  // 加载订阅列表
+  await loadSubscriptions();
 }
 
 // 启动应用
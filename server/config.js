@@ -11,6 +11,53 @@ module.exports = {
   // 可选值：'chrome', 'safari', 'firefox', 'edge', 'opera', 'brave'
   // COOKIES_FROM_BROWSER: 'chrome',
 
+  // 本地数据目录（队列状态等），相对于项目根目录
+  DATA_DIR: './data',
+
+  // 媒体库模式：下载完成的文件保存到 LIBRARY_DIR 并记录历史，而不是发送后删除
+  LIBRARY_ENABLED: process.env.LIBRARY_ENABLED === '1',
+  LIBRARY_DIR: process.env.LIBRARY_DIR || './downloads',
+
+  // 全局最多同时运行的 yt-dlp 下载进程数
+  MAX_CONCURRENT_DOWNLOADS: parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 3,
+
+  // 单个批量任务默认同时下载的条目数（可在创建任务时指定，不超过全局上限）
+  TASK_CONCURRENCY: 2,
+
+  // 临时性错误（网络、限流等）自动重试次数及退避时间（毫秒，指数增长）
+  RETRY_ATTEMPTS: 3,
+  RETRY_BASE_DELAY: 2000,
+  RETRY_MAX_DELAY: 30000,
+
+  // 订阅同步：默认间隔和最小间隔（分钟），以及检查到期订阅的频率（毫秒）
+  SUBSCRIPTION_DEFAULT_INTERVAL: 24 * 60,
+  SUBSCRIPTION_MIN_INTERVAL: 15,
+  SUBSCRIPTION_CHECK_INTERVAL: 60 * 1000,
+
+  // 视频元数据缓存：有效期（毫秒）和最大条目数
+  // 元数据中的直链会在数小时后失效，有效期不宜过长
+  METADATA_CACHE_TTL: 10 * 60 * 1000,
+  METADATA_CACHE_MAX_ENTRIES: 200,
+
+  // 响度标准化（EBU R128，ffmpeg loudnorm）：目标综合响度（LUFS）和真峰值上限（dBTP）
+  // -23 LUFS 为广播标准，-16 LUFS 更接近音乐/播客平台
+  LOUDNORM_TARGET: parseFloat(process.env.LOUDNORM_TARGET) || -16,
+  LOUDNORM_TRUE_PEAK: -1.5,
+
+  // yt-dlp / ffmpeg 进程超时（毫秒），按操作区分，0 表示不限制
+  PROCESS_TIMEOUTS: {
+    metadata: 60 * 1000, // 视频信息、格式、下载链接
+    playlist: 3 * 60 * 1000, // 播放列表、频道（大型列表需要较长时间）
+    subtitle: 2 * 60 * 1000,
+    download: 4 * 60 * 60 * 1000, // 下载（总时长）
+    stream: 4 * 60 * 60 * 1000, // 流式下载
+    ffmpeg: 2 * 60 * 60 * 1000, // 后期处理（转码可能很慢）
+    health: 10 * 1000,
+  },
+
+  // 下载进程多久没有任何输出（进度、数据）视为卡住并终止（毫秒）
+  PROCESS_STALL_TIMEOUT: parseInt(process.env.PROCESS_STALL_TIMEOUT) || 2 * 60 * 1000,
+
   // 服务器端口
   PORT: process.env.PORT || 3001,
 };
@@ -6,6 +6,11 @@
 const express = require('express');
 const cors = require('cors');
 const apiRoutes = require('./routes/api');
+const downloadQueue = require('./services/downloadQueue');
+const library = require('./services/library');
+const subscriptions = require('./services/subscriptions');
+const { terminateAll } = require('./services/processRunner');
+const { ERROR_CODES } = require('./services/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -13,7 +18,7 @@ const PORT = process.env.PORT || 3001;
 // CORS 配置 - 允许前端跨域访问
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:5173', 'http://127.0.0.1:3000', 'http://127.0.0.1:5173'],
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
   credentials: true
 }));
 
@@ -30,6 +35,7 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       '/api/health': 'Health check & yt-dlp status',
+      '/api/analyze?url=': 'Get video/playlist info, formats, subtitles and chapters',
       '/api/info?url=': 'Get video/playlist info',
       '/api/formats?url=': 'Get available formats',
       '/api/download?url=&format=': 'Get download URL'
@@ -40,7 +46,32 @@ app.get('/', (req, res) => {
 // 错误处理
 app.use((err, req, res, next) => {
   console.error('Server error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  res.status(500).json({ error: 'Internal server error', code: ERROR_CODES.UNKNOWN });
+});
+
+// 加载媒体库记录
+if (library.isEnabled()) {
+  console.log(`[Library] Loaded ${library.loadLibrary()} entries`);
+}
+
+// 恢复上次未完成的下载任务
+const restoredCount = downloadQueue.restoreTasks();
+if (restoredCount > 0) {
+  console.log(`[Queue] Restored ${restoredCount} task(s) from disk`);
+}
+
+// 启动订阅定时同步（需在恢复队列之后，新视频会加入队列）
+const subscriptionCount = subscriptions.startScheduler();
+if (subscriptionCount > 0) {
+  console.log(`[Subscriptions] Loaded ${subscriptionCount} subscription(s)`);
+}
+
+// 收到退出信号时正常退出，确保队列状态写入磁盘，并终止运行中的 yt-dlp / ffmpeg 进程
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    terminateAll();
+    process.exit(0);
+  });
 });
 
 // 启动服务器
@@ -53,6 +84,7 @@ app.listen(PORT, () => {
 
 Available endpoints:
   GET /api/health         - Check yt-dlp status
+  GET /api/analyze?url=   - Get info & formats in one call
   GET /api/info?url=      - Get video info
   GET /api/formats?url=   - Get formats list  
   GET /api/download?url=  - Get download URL
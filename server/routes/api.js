@@ -4,13 +4,26 @@
  */
 
 const express = require('express');
+const archiver = require('archiver');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
 const ytdlp = require('../services/ytdlp');
 const downloadQueue = require('../services/downloadQueue');
+const library = require('../services/library');
+const downloadArchive = require('../services/downloadArchive');
+const subscriptions = require('../services/subscriptions');
+const formatSelector = require('../services/formatSelector');
+const { createTaskBundle, createChapterBundle } = require('../services/bundle');
+const progress = require('../services/progress');
+const { sendFile } = require('../services/fileResponse');
+const { runProcess, getProcessStats } = require('../services/processRunner');
+const { getCookiesPath } = require('../services/cookies');
+const { ERROR_CODES, classifyError, withRetry, sendError } = require('../services/errors');
 const config = require('../config');
+const { parseYouTubeUrl, VIDEO_TYPES, COLLECTION_TYPES } = require('../../shared/youtubeUrl');
 
 // 配置 multer 用于 cookies 文件上传
 const cookiesUpload = multer({
@@ -19,44 +32,136 @@ const cookiesUpload = multer({
 });
 
 /**
- * 获取 cookies 参数
+ * 打开 Server-Sent Events 响应流
+ * @returns {function} - send(event, data) 推送事件
  */
-function getCookiesArgs() {
-  if (config.COOKIES_FILE) {
-    const cookiesPath = path.resolve(__dirname, '../../', config.COOKIES_FILE);
-    return ['--cookies', cookiesPath];
-  } else if (config.COOKIES_FROM_BROWSER) {
-    return ['--cookies-from-browser', config.COOKIES_FROM_BROWSER];
-  }
-  return [];
+function openEventStream(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  // 定时发送注释行，防止代理或浏览器断开空闲连接
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  req.on('close', () => clearInterval(heartbeat));
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// 可以订阅的链接类型（合辑的内容每次都不同，不支持订阅）
+const SUBSCRIBABLE_TYPES = ['playlist', 'channel'];
+
+/**
+ * 解析并校验 YouTube 链接（见 shared/youtubeUrl.js），在启动 yt-dlp 之前拒绝无效链接
+ * @param {string} url - 用户传入的链接
+ * @param {string[]} types - 允许的链接类型
+ * @returns {{ link: object }|{ error: string }} - link.url 为规范化后的链接
+ */
+function parseUrlParam(url, types) {
+  const link = parseYouTubeUrl(url);
+  if (!link.valid) return { error: `Invalid URL: ${link.error}` };
+  if (!types.includes(link.type)) return { error: `Unsupported URL type: ${link.type}` };
+  return { link };
+}
+
+/**
+ * 解析播放列表分页参数
+ * @returns {{ start: number, limit: number|null }|null} - 参数无效时返回 null
+ */
+function parsePaging(query) {
+  const start = query.start !== undefined ? parseInt(query.start) : 1;
+  const limit = query.limit !== undefined ? parseInt(query.limit) : null;
+
+  if (!(start >= 1) || (limit !== null && !(limit >= 1 && limit <= 500))) return null;
+  return { start, limit };
+}
+
+/**
+ * 客户端断开连接时触发的取消信号，传给 yt-dlp / ffmpeg 进程（见 processRunner）
+ * 监听响应而不是请求的 close 事件：请求体读完后 req 也会触发 close，响应正常结束时不取消
+ */
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
 }
 
 /**
  * GET /api/info
  * 获取视频或播放列表信息
- * Query: url - YouTube URL
+ * Query: url - YouTube URL（视频、Shorts、直播、播放列表、合辑或频道，见 shared/youtubeUrl.js）,
+ *        start - 播放列表起始位置（从 1 开始，可选）, limit - 每页视频数（可选，最多 500）
  */
 router.get('/info', async (req, res) => {
   const { url } = req.query;
+  const paging = parsePaging(req.query);
 
   if (!url) {
-    return res.status(400).json({ error: 'Missing url parameter' });
+    return res.status(400).json({ error: 'Missing url parameter', code: ERROR_CODES.BAD_REQUEST });
   }
 
-  try {
-    // 判断是否为播放列表
-    const isPlaylist = url.includes('list=') && !url.includes('watch?v=');
+  if (!paging) {
+    return res.status(400).json({ error: 'Invalid start or limit parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const { link, error } = parseUrlParam(url, [...VIDEO_TYPES, ...COLLECTION_TYPES]);
+  if (error) {
+    return res.status(400).json({ error, code: ERROR_CODES.INVALID_URL });
+  }
 
-    if (isPlaylist) {
-      const info = await ytdlp.getPlaylistInfo(url);
+  try {
+    if (COLLECTION_TYPES.includes(link.type)) {
+      const info = await ytdlp.getPlaylistInfo(link.url, { ...paging, signal: abortOnClose(res) });
       res.json({ type: 'playlist', data: info });
     } else {
-      const info = await ytdlp.getVideoInfo(url);
+      const info = await ytdlp.getVideoInfo(link.url);
       res.json({ type: 'video', data: info });
     }
   } catch (error) {
     console.error('Error fetching video info:', error);
-    res.status(500).json({ error: error.message || 'Failed to fetch video info' });
+    sendError(res, error, 'Failed to fetch video info');
+  }
+});
+
+/**
+ * GET /api/analyze
+ * 一次返回解析页面所需的全部信息，只调用一次 yt-dlp
+ * - 视频：{ type: 'video', data: 基本信息, formats, subtitles, chapters, thumbnails }
+ * - 播放列表：{ type: 'playlist', data: 播放列表信息 }（同 /api/info）
+ * Query: url - YouTube URL, start/limit - 播放列表分页（可选）
+ */
+router.get('/analyze', async (req, res) => {
+  const { url } = req.query;
+  const paging = parsePaging(req.query);
+
+  if (!url) {
+    return res.status(400).json({ error: 'Missing url parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  if (!paging) {
+    return res.status(400).json({ error: 'Invalid start or limit parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const { link, error } = parseUrlParam(url, [...VIDEO_TYPES, ...COLLECTION_TYPES]);
+  if (error) {
+    return res.status(400).json({ error, code: ERROR_CODES.INVALID_URL });
+  }
+
+  try {
+    if (COLLECTION_TYPES.includes(link.type)) {
+      const info = await ytdlp.getPlaylistInfo(link.url, { ...paging, signal: abortOnClose(res) });
+      return res.json({ type: 'playlist', data: info });
+    }
+
+    const { info, ...details } = await ytdlp.analyzeVideo(link.url);
+    res.json({ type: 'video', data: info, ...details });
+  } catch (error) {
+    console.error('Error analyzing url:', error);
+    sendError(res, error, 'Failed to analyze url');
   }
 });
 
@@ -69,186 +174,533 @@ router.get('/formats', async (req, res) => {
   const { url } = req.query;
 
   if (!url) {
-    return res.status(400).json({ error: 'Missing url parameter' });
+    return res.status(400).json({ error: 'Missing url parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const { link, error } = parseUrlParam(url, VIDEO_TYPES);
+  if (error) {
+    return res.status(400).json({ error, code: ERROR_CODES.INVALID_URL });
   }
 
   try {
-    const formats = await ytdlp.getFormats(url);
+    const formats = await ytdlp.getFormats(link.url);
     res.json(formats);
   } catch (error) {
     console.error('Error fetching formats:', error);
-    res.status(500).json({ error: error.message || 'Failed to fetch formats' });
+    sendError(res, error, 'Failed to fetch formats');
   }
 });
 
 /**
  * GET /api/download
  * 获取下载链接
- * Query: url - YouTube URL, format - 格式 ID (可选)
+ * Query: url - YouTube URL, format - 格式 ID 或结构化格式请求的 JSON (可选，见 formatSelector)
  */
 router.get('/download', async (req, res) => {
-  const { url, format = 'best' } = req.query;
+  const { url } = req.query;
 
   if (!url) {
-    return res.status(400).json({ error: 'Missing url parameter' });
+    return res.status(400).json({ error: 'Missing url parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const { link, error: urlError } = parseUrlParam(url, VIDEO_TYPES);
+  if (urlError) {
+    return res.status(400).json({ error: urlError, code: ERROR_CODES.INVALID_URL });
+  }
+
+  const { format, error } = parseFormatOptions(req.query.format);
+  if (error) {
+    return res.status(400).json({ error, code: ERROR_CODES.BAD_REQUEST });
   }
 
   try {
-    const downloadInfo = await ytdlp.getDownloadInfo(url, format);
+    const downloadInfo = await ytdlp.getDownloadInfo(link.url, format);
     res.json(downloadInfo);
   } catch (error) {
     console.error('Error getting download URL:', error);
-    res.status(500).json({ error: error.message || 'Failed to get download URL' });
+    sendError(res, error, 'Failed to get download URL');
   }
 });
 
+/**
+ * 生成 Content-Disposition 响应头（同时提供 ASCII 文件名和 UTF-8 文件名）
+ */
+function contentDisposition(filename, fallback = 'download') {
+  const asciiFilename = filename
+    .replace(/[^\x20-\x7E]/g, '')
+    .replace(/[<>:"/\\|?*]/g, '_')
+    .trim() || fallback;
+  return `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * 代理下载的 ETag：请求参数（不含 progressId）+ 文件大小
+ */
+function proxyEtag(query, size) {
+  const { progressId, ...params } = query;
+  const hash = crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex').slice(0, 16);
+  return `"${size.toString(16)}-${hash}"`;
+}
+
+/**
+ * 解析字幕参数
+ * Query: subs - 语言代码，逗号分隔, subsMode - embed|sidecar, subsAuto - 1 包含自动字幕, subsFormat - 单独文件的字幕格式 srt|vtt|ass (默认 srt)
+ * @returns {object|null|false} - 未指定字幕时返回 null，参数无效时返回 false
+ */
+function parseSubtitleOptions(query) {
+  if (!query.subs) return null;
+
+  const langs = String(query.subs).split(',').map(lang => lang.trim()).filter(Boolean);
+  const mode = query.subsMode || 'embed';
+  const format = query.subsFormat || null;
+
+  if (langs.length === 0 || !langs.every(lang => /^[\w-]+$/.test(lang))) return false;
+  if (!['embed', 'sidecar'].includes(mode)) return false;
+  if (format && !ytdlp.SUBTITLE_FORMATS.includes(format)) return false;
+
+  return { langs, mode, format, automatic: query.subsAuto === '1' };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * 解析剪辑参数
+ * start/end - 秒数或 [hh:]mm:ss, chapter - 章节序号（从 1 开始）或章节标题，两种方式不能同时使用
+ * @returns {object|null|false} - 未指定剪辑时返回 null，参数无效时返回 false
+ */
+function parseClipOptions({ start, end, chapter } = {}) {
+  const hasRange = !isBlank(start) || !isBlank(end);
+  const hasChapter = !isBlank(chapter);
+
+  if (!hasRange && !hasChapter) return null;
+  if (hasRange && hasChapter) return false;
+  if (hasChapter) return { chapter: String(chapter) };
+
+  const from = isBlank(start) ? 0 : ytdlp.parseTimestamp(start);
+  const to = isBlank(end) ? null : ytdlp.parseTimestamp(end);
+
+  if (from === null || (!isBlank(end) && (to === null || to <= from))) return false;
+  return { start: from, end: to };
+}
+
+// 可覆盖的音频标签字段
+const TAG_FIELDS = ['title', 'artist', 'album', 'track', 'year'];
+
+/**
+ * 解析音频标签参数（仅对 MP3/M4A 生效）
+ * @param {object|boolean} [source] - { title, artist, album, track, year }，false 表示不写入标签和封面
+ * @returns {object|null|false} - 覆盖的标签值；不写入标签时返回 null，参数无效时返回 false
+ */
+function parseTagOptions(source) {
+  if (source === false) return null;
+  if (isBlank(source)) return {};
+  if (typeof source !== 'object' || Array.isArray(source)) return false;
+
+  const tags = {};
+  for (const field of TAG_FIELDS) {
+    const value = source[field];
+    if (isBlank(value)) continue;
+    if (!['string', 'number'].includes(typeof value) || String(value).length > 200) return false;
+    tags[field] = String(value).trim();
+  }
+
+  if (tags.track && !/^\d{1,4}(\/\d{1,4})?$/.test(tags.track)) return false;
+  if (tags.year && !/^\d{4}$/.test(tags.year)) return false;
+  return tags;
+}
+
+/**
+ * 解析格式参数：格式 ID、结构化格式请求或其 JSON 字符串（见 formatSelector），默认 best
+ * @param {object} [options]
+ * @param {boolean} [options.loudnorm] - 是否要求响度标准化（需要音频预设格式）
+ * @param {boolean} [options.compatible] - 是否要求兼容 MP4（需要视频格式）
+ * @returns {{ format: string|object }|{ error: string }}
+ */
+function parseFormatOptions(value = 'best', { loudnorm = false, compatible = false } = {}) {
+  let format;
+  let compiled;
+  try {
+    format = formatSelector.normalizeFormat(value);
+    compiled = formatSelector.compileFormat(format, { compatible });
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (loudnorm && !compiled.audioPreset) {
+    return { error: 'Loudness normalization requires an audio preset format' };
+  }
+  return { format };
+}
+
+/**
+ * 将流式下载进程的输出发送给客户端
+ * 收到第一块数据后才发送响应头，此前失败时仍可返回 JSON 错误；之后失败只能中断连接
+ * 客户端断开时终止进程
+ */
+function sendStream(res, child, { filename, channel }) {
+  let failed = false;
+
+  child.stdout.once('data', (chunk) => {
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', contentDisposition(filename));
+    res.write(chunk);
+    child.stdout.pipe(res);
+
+    if (channel) progress.publish(channel, 'done', { filename, size: null, libraryId: null, streamed: true });
+  });
+
+  const fail = (error) => {
+    if (failed) return;
+    failed = true;
+    console.error(`Error in streaming download (${error.code}):`, error.details || error.message);
+    if (res.headersSent) return res.destroy(error);
+    if (channel) progress.publish(channel, 'error', { error: error.message, code: error.code });
+    sendError(res, error, 'Failed to download');
+  };
+
+  child.on('close', (code) => {
+    if (child.terminationError) {
+      fail(child.terminationError);
+    } else if (code !== 0 && !res.writableEnded && !res.destroyed) {
+      fail(classifyError(child.getStderr() || `Process exited with code ${code}`));
+    } else if (code === 0 && !res.headersSent) {
+      fail(classifyError('Stream produced no data'));
+    }
+  });
+
+  child.on('error', (err) => {
+    fail(classifyError(`Failed to start ${child.spawnfile}: ${err.message}`));
+  });
+
+  // 客户端断开时进程由取消信号终止（见 openStream）
+  res.on('close', () => {
+    if (channel) progress.clearChannel(channel);
+  });
+}
+
 /**
  * GET /api/proxy-download
  * 代理下载 - 使用 yt-dlp 直接下载文件
- * Query: url - YouTube URL, format - 格式 ID (可选)
+ * Query: url - YouTube URL, format - 格式 ID 或结构化格式请求的 JSON (可选，见 formatSelector),
+ *        progressId - 进度频道 ID (可选，配合 /api/progress/:progressId 使用),
+ *        subs/subsMode/subsAuto/subsFormat - 附带字幕 (可选，见 parseSubtitleOptions)
+ *        start/end 或 chapter - 只下载指定片段或章节 (可选，见 parseClipOptions)
+ *        split - chapters 表示按章节拆分为多个文件 (可选，不能与字幕、剪辑同时使用)
+ *        tagTitle/tagArtist/tagAlbum/tagTrack/tagYear - 覆盖 MP3/M4A 标签 (可选)，tags=0 不写入标签和封面
+ *        loudnorm - 1 表示对转换后的音频做响度标准化 (可选，仅音频预设格式)
+ *        compatible - 1 表示输出兼容的 MP4 (H.264 + AAC，可选，仅视频格式)，
+ *                     采用的方式 (direct/remux/transcode) 见 X-Mp4-Conversion 响应头和进度频道的 done 事件
+ *        stream - auto (默认) 在可行时边下载边发送，0 表示总是先下载到临时文件再发送
+ *        单独字幕文件与视频一起打包为 zip 返回，按章节拆分的文件打包为 zip 返回
+ *        流式发送只用于不需要后期处理的格式（单个流或可合并为分片 MP4/WebM/MKV 的音视频流），
+ *        此时没有 Content-Length，进度频道的 done 事件带有 streamed: true
  */
 router.get('/proxy-download', async (req, res) => {
-  const { url, format = 'best' } = req.query;
+  const { url, progressId, split, stream = 'auto' } = req.query;
+  const loudnorm = req.query.loudnorm === '1';
+  const compatible = req.query.compatible === '1';
+  const channel = progressId ? `proxy:${progressId}` : null;
+  const subtitles = parseSubtitleOptions(req.query);
+  const clip = parseClipOptions(req.query);
+  const tags = parseTagOptions(req.query.tags === '0' ? false : {
+    title: req.query.tagTitle,
+    artist: req.query.tagArtist,
+    album: req.query.tagAlbum,
+    track: req.query.tagTrack,
+    year: req.query.tagYear,
+  });
 
   if (!url) {
-    return res.status(400).json({ error: 'Missing url parameter' });
+    return res.status(400).json({ error: 'Missing url parameter', code: ERROR_CODES.BAD_REQUEST });
   }
 
-  const { spawn } = require('child_process');
-  const path = require('path');
-  const fs = require('fs');
-  const os = require('os');
+  const { link, error: urlError } = parseUrlParam(url, VIDEO_TYPES);
+  if (urlError) {
+    return res.status(400).json({ error: urlError, code: ERROR_CODES.INVALID_URL });
+  }
 
-  // 创建临时文件路径
-  const tempDir = os.tmpdir();
-  const tempId = Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-  const tempFilePath = path.join(tempDir, `ytdl-${tempId}`);
+  if (subtitles === false) {
+    return res.status(400).json({ error: 'Invalid subtitle parameters', code: ERROR_CODES.BAD_REQUEST });
+  }
 
-  try {
-    // 解析格式
-    let actualFormat = format;
-    let audioFormat = null;
-
-    if (format.includes('--')) {
-      const parts = format.split('--');
-      actualFormat = parts[0];
-      audioFormat = parts[1]; // mp3, m4a 等
+  if (clip === false) {
+    return res.status(400).json({ error: 'Invalid clip parameters', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  if (tags === false) {
+    return res.status(400).json({ error: 'Invalid tag parameters', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const { format, error: formatError } = parseFormatOptions(req.query.format, { loudnorm, compatible });
+  if (formatError) {
+    return res.status(400).json({ error: formatError, code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  if (split && (split !== 'chapters' || subtitles || clip)) {
+    return res.status(400).json({ error: 'Invalid split parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  if (!['auto', '0'].includes(stream)) {
+    return res.status(400).json({ error: 'Invalid stream parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const onProgress = (data) => {
+    if (channel) progress.publish(channel, 'progress', data);
+  };
+
+  // 客户端断开连接时终止下载、后期处理和重试等待
+  const signal = abortOnClose(res);
+  const retryOptions = {
+    signal,
+    onRetry: (error, attempt, delay) => {
+      console.warn(`Retrying download in ${delay}ms (attempt ${attempt}, ${error.code})`);
+      if (channel) progress.publish(channel, 'retry', { attempt, delay, code: error.code, error: error.message });
     }
+  };
+
+  // 重试时沿用同一个临时文件 ID，从超时或卡住时留下的 .part 续传，最终失败时删除
+  const tempId = ytdlp.createTempId();
 
-    // 构建 yt-dlp 参数
-    const args = [
-      ...getCookiesArgs(),
-      '-f', actualFormat,
-      '-o', tempFilePath + '.%(ext)s',
-      '--no-playlist',
-      '--no-warnings',
-    ];
-
-    // 如果需要音频转换
-    if (audioFormat) {
-      args.push('-x'); // 提取音频
-      args.push('--audio-format', audioFormat);
-      args.push('--audio-quality', '0'); // 最高质量
+  try {
+    // 不需要后期处理、也不保存到媒体库时，尽量边下载边发送
+    // 续传请求（带 Range）需要完整文件
+    const canStream = stream === 'auto' && !req.headers.range && !split && !subtitles && !clip && !loudnorm && !compatible && !library.isEnabled();
+    const plan = canStream ? await ytdlp.planStream(link.url, format) : null;
+    if (plan) {
+      console.log(`[Proxy] Streaming (${plan.type}): ${link.url}`);
+      return sendStream(res, ytdlp.openStream(plan, { signal }), { filename: plan.filename, channel });
     }
 
-    args.push(url);
+    if (split) {
+      // 按章节拆分：每个章节一个文件，打包为 zip（不加入媒体库）
+      const result = await withRetry(() => ytdlp.downloadChapters(link.url, format, { tempId, tags, loudnorm, compatible, onProgress, signal }), retryOptions);
+      const zipName = `${result.title} (chapters).zip`;
+      const archive = createChapterBundle(result);
 
-    console.log('yt-dlp args:', args);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', contentDisposition(zipName, 'chapters.zip'));
+      if (result.mp4Conversion) res.setHeader('X-Mp4-Conversion', result.mp4Conversion);
 
-    // 执行 yt-dlp 下载
-    const ytdlp = spawn('yt-dlp', args);
+      archive.on('error', (err) => {
+        console.error('Archive error:', err);
+        res.destroy(err);
+      });
+      archive.pipe(res);
+      archive.finalize();
 
-    let stderr = '';
+      if (channel) {
+        progress.publish(channel, 'done', { filename: zipName, size: null, libraryId: null, mp4Conversion: result.mp4Conversion });
+      }
 
-    ytdlp.stderr.on('data', (data) => {
-      stderr += data.toString();
-      console.log('yt-dlp:', data.toString());
-    });
+      // 连接结束（完成或中断）后删除临时文件
+      res.on('close', () => {
+        if (!res.writableFinished) archive.abort();
+        result.tracks.forEach(track => fs.unlink(track.filepath, () => { }));
+        if (channel) progress.clearChannel(channel);
+      });
+      return;
+    }
 
-    ytdlp.stdout.on('data', (data) => {
-      console.log('yt-dlp stdout:', data.toString());
-    });
+    // 临时性错误（网络、限流）自动重试
+    const result = await withRetry(() => ytdlp.downloadFile(link.url, format, { tempId, subtitles, clip, tags, loudnorm, compatible, onProgress, signal }), retryOptions);
 
-    ytdlp.on('close', async (code) => {
-      if (code !== 0) {
-        console.error('yt-dlp failed:', stderr);
-        return res.status(500).json({ error: 'Download failed: ' + stderr });
-      }
+    // 媒体库模式下先保存到输出目录，发送后保留文件
+    const entry = library.isEnabled()
+      ? await library.addToLibrary(result, { url: link.url, format })
+      : null;
 
-      // 查找下载的文件
-      const files = fs.readdirSync(tempDir).filter(f => f.startsWith(`ytdl-${tempId}`));
+    const filename = result.filename;
+    const downloadedFile = entry ? entry.filepath : result.filepath;
+    const ext = path.extname(downloadedFile);
 
-      if (files.length === 0) {
-        return res.status(500).json({ error: 'Downloaded file not found' });
-      }
+    // 有单独的字幕文件时与视频一起打包
+    if (result.sidecars.length > 0) {
+      const zipName = `${path.basename(filename, ext)}.zip`;
+      const archive = archiver('zip', { store: true });
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', contentDisposition(zipName, 'download.zip'));
+      if (result.mp4Conversion) res.setHeader('X-Mp4-Conversion', result.mp4Conversion);
 
-      const downloadedFile = path.join(tempDir, files[0]);
-      const ext = path.extname(files[0]);
-      const stat = fs.statSync(downloadedFile);
-
-      // 获取视频标题作为文件名
-      let filename = `download${ext}`;
-      try {
-        const { execSync } = require('child_process');
-        const cookiesArg = config.COOKIES_FROM_BROWSER ? `--cookies-from-browser ${config.COOKIES_FROM_BROWSER}` : (config.COOKIES_FILE ? `--cookies ${path.resolve(__dirname, '../../', config.COOKIES_FILE)}` : '');
-        const title = execSync(`yt-dlp ${cookiesArg} --get-title --no-warnings "${url}"`, { encoding: 'utf-8' }).trim();
-        if (title) {
-          // 清理文件名
-          filename = title.replace(/[<>:"/\\|?*]/g, '_').substring(0, 200) + ext;
-        }
-      } catch (e) {
-        console.log('Failed to get title:', e.message);
+      archive.on('error', (err) => {
+        console.error('Archive error:', err);
+        res.destroy(err);
+      });
+      archive.file(downloadedFile, { name: filename });
+      result.sidecars.forEach(sidecar => archive.file(sidecar.filepath, { name: sidecar.filename }));
+      archive.pipe(res);
+      archive.finalize();
+
+      if (channel) {
+        progress.publish(channel, 'done', {
+          filename: zipName,
+          size: null,
+          libraryId: entry ? entry.id : null,
+          mp4Conversion: result.mp4Conversion || null,
+        });
       }
 
-      // ASCII 安全的文件名
-      const asciiFilename = filename
-        .replace(/[^\x20-\x7E]/g, '')
-        .replace(/[<>:"/\\|?*]/g, '_')
-        .trim() || `download${ext}`;
+      // 连接结束（完成或中断）后删除临时文件
+      res.on('close', () => {
+        const tempFiles = result.sidecars.map(sidecar => sidecar.filepath);
+        if (!entry) tempFiles.push(downloadedFile);
+        tempFiles.forEach(file => fs.unlink(file, () => { }));
+        if (channel) progress.clearChannel(channel);
+      });
+      return;
+    }
+
+    const stat = fs.statSync(downloadedFile);
+
+    res.setHeader('Content-Disposition', contentDisposition(filename, `download${ext}`));
+    if (result.mp4Conversion) res.setHeader('X-Mp4-Conversion', result.mp4Conversion);
 
-      // 设置响应头
-      res.setHeader('Content-Type', 'application/octet-stream');
-      res.setHeader('Content-Length', stat.size);
-      res.setHeader('Content-Disposition', `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    // 每次请求都会重新下载，ETag 由请求参数和文件大小决定，相同请求续传时才能匹配 If-Range
+    const readStream = sendFile(req, res, downloadedFile, { etag: proxyEtag(req.query, stat.size) });
 
-      // 流式返回文件
-      const readStream = fs.createReadStream(downloadedFile);
-      readStream.pipe(res);
+    if (channel) {
+      progress.publish(channel, 'done', {
+        filename,
+        size: stat.size,
+        libraryId: entry ? entry.id : null,
+        mp4Conversion: result.mp4Conversion || null,
+      });
+    }
 
-      // 下载完成后删除临时文件
-      readStream.on('close', () => {
+    // 连接结束（完成或中断）后删除临时文件
+    res.on('close', () => {
+      if (readStream) readStream.destroy();
+      if (!entry) {
         fs.unlink(downloadedFile, (err) => {
           if (err) console.error('Failed to delete temp file:', err);
         });
-      });
+      }
+      if (channel) progress.clearChannel(channel);
     });
+  } catch (err) {
+    const error = classifyError(err);
+    console.error(`Error in proxy download (${error.code}):`, error.details || error.message);
+    ytdlp.removeTempFiles(tempId);
+    if (channel) {
+      // 已订阅的客户端收到错误事件即可，不再保留快照
+      progress.publish(channel, 'error', { error: error.message, code: error.code });
+      progress.clearChannel(channel);
+    }
+    sendError(res, error, 'Failed to download');
+  }
+});
 
-    ytdlp.on('error', (err) => {
-      console.error('yt-dlp spawn error:', err);
-      res.status(500).json({ error: 'Failed to start yt-dlp: ' + err.message });
-    });
+/**
+ * GET /api/subtitles
+ * 下载单个语言的字幕文件
+ * Query: url - YouTube URL, lang - 语言代码, format - srt|vtt|ass (默认 srt), auto - 1 表示自动生成的字幕
+ */
+router.get('/subtitles', async (req, res) => {
+  const { url, lang, format = 'srt', auto = '0' } = req.query;
+
+  if (!url || !lang) {
+    return res.status(400).json({ error: 'Missing url or lang parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
 
+  const { link, error } = parseUrlParam(url, VIDEO_TYPES);
+  if (error) {
+    return res.status(400).json({ error, code: ERROR_CODES.INVALID_URL });
+  }
+
+  if (!/^[\w-]+$/.test(lang) || !ytdlp.SUBTITLE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Invalid lang or format parameter', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  try {
+    const { filename, filepath } = await ytdlp.downloadSubtitle(link.url, { lang, format, automatic: auto === '1', signal: abortOnClose(res) });
+
+    res.setHeader('Content-Disposition', contentDisposition(filename, `subtitles.${format}`));
+
+    sendFile(req, res, filepath);
+    res.on('close', () => fs.unlink(filepath, () => { }));
   } catch (error) {
-    console.error('Error in proxy download:', error);
-    res.status(500).json({ error: error.message || 'Failed to download' });
+    console.error('Error downloading subtitles:', error);
+    sendError(res, error, 'Failed to download subtitles');
   }
 });
 
+/**
+ * GET /api/progress/:progressId
+ * 代理下载进度（SSE）
+ * 事件：progress - 进度更新，done - 开始发送文件，error - 下载失败
+ */
+router.get('/progress/:progressId', (req, res) => {
+  const channel = `proxy:${req.params.progressId}`;
+  const send = openEventStream(req, res);
+
+  const snapshot = progress.getSnapshot(channel);
+  if (snapshot) send('progress', snapshot);
+
+  const unsubscribe = progress.subscribe(channel, (event, data) => {
+    send(event, data);
+    if (event === 'done' || event === 'error') res.end();
+  });
+
+  req.on('close', unsubscribe);
+});
+
 // ===== 批量下载队列 API =====
 
 /**
  * POST /api/queue/create
  * 创建批量下载任务
- * Body: { urls: string[], format: string }
+ * Body: { urls: string[], format: string|object, concurrency?: number, title?: string, skipDownloaded?: boolean,
+ *         clip?: { start?, end?, chapter? }, tags?: object|false, positions?: number[], loudnorm?: boolean,
+ *         compatible?: boolean }
+ * clip 对每个视频截取相同的片段或章节；tags 覆盖 MP3/M4A 标签（见 parseTagOptions），专辑默认为 title；
+ * positions 为各视频在播放列表中的位置（从 1 开始），用作音轨序号；loudnorm 对转换后的音频做响度标准化；
+ * compatible 输出兼容的 MP4，各条目采用的方式见任务状态中的 mp4Conversion
  */
 router.post('/queue/create', (req, res) => {
-  const { urls, format = 'best' } = req.body;
+  const { urls, concurrency, title, skipDownloaded = true, positions, loudnorm = false, compatible = false } = req.body;
+  const clip = parseClipOptions(req.body.clip);
+  const tags = parseTagOptions(req.body.tags);
 
   if (!urls || !Array.isArray(urls) || urls.length === 0) {
-    return res.status(400).json({ error: 'Missing or invalid urls' });
+    return res.status(400).json({ error: 'Missing or invalid urls', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const links = urls.map(url => parseUrlParam(url, VIDEO_TYPES));
+  const invalidIndex = links.findIndex(({ error }) => error);
+  if (invalidIndex !== -1) {
+    return res.status(400).json({ error: `urls[${invalidIndex}]: ${links[invalidIndex].error}`, code: ERROR_CODES.INVALID_URL });
+  }
+
+  if (clip === false) {
+    return res.status(400).json({ error: 'Invalid clip parameters', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  if (tags === false) {
+    return res.status(400).json({ error: 'Invalid tags', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const { format, error: formatError } = parseFormatOptions(req.body.format, { loudnorm: loudnorm === true, compatible: compatible === true });
+  if (formatError) {
+    return res.status(400).json({ error: formatError, code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  if (positions !== undefined && (!Array.isArray(positions) || positions.length !== urls.length ||
+    !positions.every(position => Number.isInteger(position) && position > 0))) {
+    return res.status(400).json({ error: 'Invalid positions', code: ERROR_CODES.BAD_REQUEST });
   }
 
-  const taskId = downloadQueue.createTask(urls, format);
+  const taskId = downloadQueue.createTask(links.map(({ link }) => link.url), format, {
+    concurrency,
+    title,
+    skipDownloaded: skipDownloaded !== false,
+    clip,
+    tags,
+    positions,
+    loudnorm: loudnorm === true,
+    compatible: compatible === true,
+  });
   res.json({ taskId, total: urls.length });
 });
 
@@ -261,12 +713,71 @@ router.get('/queue/status/:taskId', (req, res) => {
   const status = downloadQueue.getTaskStatus(taskId);
 
   if (!status) {
-    return res.status(404).json({ error: 'Task not found' });
+    return res.status(404).json({ error: 'Task not found', code: ERROR_CODES.NOT_FOUND });
   }
 
   res.json(status);
 });
 
+/**
+ * 推送队列任务事件（SSE）
+ * @param {number|null} index - 只推送指定条目的事件，null 表示整个任务
+ */
+function streamTaskEvents(req, res, taskId, index) {
+  const status = downloadQueue.getTaskStatus(taskId);
+
+  if (!status) {
+    return res.status(404).json({ error: 'Task not found', code: ERROR_CODES.NOT_FOUND });
+  }
+
+  if (index !== null && !status.items[index]) {
+    return res.status(404).json({ error: 'Item not found', code: ERROR_CODES.NOT_FOUND });
+  }
+
+  const send = openEventStream(req, res);
+
+  // 先发送当前快照，客户端无需再单独请求状态
+  send('snapshot', index === null ? status : { index, ...status.items[index] });
+
+  // 任务结束（完成、取消或被清理）后关闭事件流，暂停/继续时保持连接
+  const isFinal = (taskStatus) => ['completed', 'cancelled', 'removed'].includes(taskStatus);
+
+  if (isFinal(status.status)) {
+    send('task', { status: status.status });
+    return res.end();
+  }
+
+  const unsubscribe = progress.subscribe(downloadQueue.getTaskChannel(taskId), (event, data) => {
+    if (event === 'task') {
+      send(event, data);
+      if (isFinal(data.status)) res.end();
+      return;
+    }
+    if (index === null || data.index === index) {
+      send(event, data);
+    }
+  });
+
+  req.on('close', unsubscribe);
+}
+
+/**
+ * GET /api/queue/events/:taskId
+ * 任务进度（SSE）
+ * 事件：snapshot - 当前状态，progress - 条目进度，item - 条目状态变化，task - 任务状态变化
+ */
+router.get('/queue/events/:taskId', (req, res) => {
+  streamTaskEvents(req, res, req.params.taskId, null);
+});
+
+/**
+ * GET /api/queue/events/:taskId/:index
+ * 单个条目进度（SSE）
+ */
+router.get('/queue/events/:taskId/:index', (req, res) => {
+  streamTaskEvents(req, res, req.params.taskId, parseInt(req.params.index));
+});
+
 /**
  * GET /api/queue/next/:taskId
  * 获取下一个已完成的文件
@@ -289,36 +800,154 @@ router.get('/queue/next/:taskId', (req, res) => {
 /**
  * GET /api/queue/download/:taskId/:index
  * 下载指定索引的文件
+ * Query: cleanup - 完整发送文件后清理任务（默认 0，Range 请求不清理）
  */
 router.get('/queue/download/:taskId/:index', (req, res) => {
   const { taskId, index } = req.params;
+  const { cleanup = '0' } = req.query;
   const fs = require('fs');
 
   const fileInfo = downloadQueue.getFileInfo(taskId, parseInt(index));
 
   if (!fileInfo || !fs.existsSync(fileInfo.filepath)) {
-    return res.status(404).json({ error: 'File not found' });
+    return res.status(404).json({ error: 'File not found', code: ERROR_CODES.NOT_FOUND });
   }
 
-  const stat = fs.statSync(fileInfo.filepath);
+  res.setHeader('Content-Disposition', contentDisposition(fileInfo.filename));
+  const readStream = sendFile(req, res, fileInfo.filepath);
 
-  // ASCII 安全的文件名
-  const asciiFilename = fileInfo.filename
-    .replace(/[^\x20-\x7E]/g, '')
-    .replace(/[<>:"/\\|?*]/g, '_')
-    .trim() || 'download';
+  // 只在完整发送文件（200）后清理：Range 请求（206）之后还会续传或拖动播放，HEAD、304 没有发送文件
+  // 客户端收到 Content-Length 指定的全部数据后可能立即断开，此时 finish 不一定触发，以读完整个文件为准
+  if (cleanup === '1' && readStream && res.statusCode === 200) {
+    const size = res.getHeader('Content-Length');
+    res.on('close', () => {
+      if (readStream.bytesRead === size) downloadQueue.cleanupTask(taskId);
+    });
+  }
+});
+
+/**
+ * GET /api/queue/archive/:taskId
+ * 将任务中已完成的文件打包为 zip 下载（边打包边发送）
+ * Query: m3u - 是否附带 playlist.m3u（默认 1），cleanup - 完整发送后清理任务（默认 0）
+ */
+router.get('/queue/archive/:taskId', (req, res) => {
+  const { taskId } = req.params;
+  const { m3u = '1', cleanup = '0' } = req.query;
+  const task = downloadQueue.getTaskFiles(taskId);
+
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found', code: ERROR_CODES.NOT_FOUND });
+  }
 
-  res.setHeader('Content-Type', 'application/octet-stream');
-  res.setHeader('Content-Length', stat.size);
-  res.setHeader('Content-Disposition', `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(fileInfo.filename)}`);
+  // 打包前确认文件仍然存在
+  const missing = task.items.filter(item => item.status === 'completed' && !fs.existsSync(item.filepath));
+  missing.forEach(item => { item.status = 'error'; item.error = 'File not found'; });
+
+  const { archive, entries } = createTaskBundle(task, { m3u: m3u !== '0' });
+
+  if (entries.length === 0) {
+    return res.status(409).json({ error: 'No completed files in task', code: ERROR_CODES.CONFLICT });
+  }
 
-  const readStream = fs.createReadStream(fileInfo.filepath);
-  readStream.pipe(res);
+  const baseName = (task.title || `download-${taskId}`).replace(/[<>:"/\\|?*]/g, '_').substring(0, 200);
+  const zipName = `${baseName}.zip`;
+  const asciiZipName = `${baseName.replace(/[^\x20-\x7E]/g, '').trim() || 'download'}.zip`;
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${asciiZipName}"; filename*=UTF-8''${encodeURIComponent(zipName)}`);
+
+  archive.on('warning', (err) => console.warn('Archive warning:', err.message));
+  archive.on('error', (err) => {
+    console.error('Archive error:', err);
+    res.destroy(err);
+  });
+
+  // 客户端中断时停止打包；完整发送后按需清理任务（HEAD 请求没有发送内容）
+  // 客户端收到结尾的分块后可能立即断开，此时 finish 不一定触发，以打包输出结束为准
+  res.on('close', () => {
+    if (!archive.readableEnded) {
+      archive.abort();
+    } else if (cleanup === '1' && req.method === 'GET') {
+      downloadQueue.cleanupTask(taskId);
+    }
+  });
+
+  archive.pipe(res);
+  archive.finalize();
+});
+
+/**
+ * 执行任务控制操作并返回最新状态
+ * @param {function} action - 返回 false/0 表示当前状态下不能执行该操作
+ */
+function controlTask(req, res, action, conflictMessage) {
+  const { taskId } = req.params;
+
+  if (!downloadQueue.getTaskStatus(taskId)) {
+    return res.status(404).json({ error: 'Task not found', code: ERROR_CODES.NOT_FOUND });
+  }
+
+  if (!action(taskId)) {
+    return res.status(409).json({ error: conflictMessage, code: ERROR_CODES.CONFLICT });
+  }
+
+  res.json(downloadQueue.getTaskStatus(taskId));
+}
+
+/**
+ * POST /api/queue/:taskId/pause
+ * 暂停任务（正在下载的条目会被终止，继续时断点续传）
+ */
+router.post('/queue/:taskId/pause', (req, res) => {
+  controlTask(req, res, downloadQueue.pauseTask, 'Task is not running');
+});
+
+/**
+ * POST /api/queue/:taskId/resume
+ * 继续已暂停的任务
+ */
+router.post('/queue/:taskId/resume', (req, res) => {
+  controlTask(req, res, downloadQueue.resumeTask, 'Task is not paused');
+});
+
+/**
+ * POST /api/queue/:taskId/cancel
+ * 取消任务中所有未完成的条目
+ */
+router.post('/queue/:taskId/cancel', (req, res) => {
+  controlTask(req, res, downloadQueue.cancelTask, 'Task has already finished');
+});
+
+/**
+ * POST /api/queue/:taskId/retry
+ * 重试任务中所有失败或已取消的条目
+ */
+router.post('/queue/:taskId/retry', (req, res) => {
+  controlTask(req, res, (taskId) => downloadQueue.retryItems(taskId), 'No failed or cancelled items to retry');
+});
+
+/**
+ * POST /api/queue/:taskId/items/:index/cancel
+ * 取消单个条目，终止下载进程并删除未完成的文件
+ */
+router.post('/queue/:taskId/items/:index/cancel', (req, res) => {
+  const index = parseInt(req.params.index);
+  controlTask(req, res, (taskId) => downloadQueue.cancelItem(taskId, index), 'Item cannot be cancelled');
+});
+
+/**
+ * POST /api/queue/:taskId/items/:index/retry
+ * 重试单个失败或已取消的条目
+ */
+router.post('/queue/:taskId/items/:index/retry', (req, res) => {
+  const index = parseInt(req.params.index);
+  controlTask(req, res, (taskId) => downloadQueue.retryItems(taskId, index), 'Item is not failed or cancelled');
 });
 
 /**
  * DELETE /api/queue/:taskId
- * 清理任务
+ * 清理任务（终止正在运行的下载并删除文件）
  */
 router.delete('/queue/:taskId', (req, res) => {
   const { taskId } = req.params;
@@ -326,47 +955,194 @@ router.delete('/queue/:taskId', (req, res) => {
   res.json({ success: true });
 });
 
+// ===== 下载记录 API =====
+
 /**
- * GET /api/health
- * 健康检查，同时验证 yt-dlp 是否可用
+ * GET /api/archive
+ * 列出已下载过的视频（批量任务会跳过这些视频）
+ * Query: format - 只列出指定格式 (可选)
  */
-router.get('/health', async (req, res) => {
-  try {
-    const { spawn } = require('child_process');
+router.get('/archive', (req, res) => {
+  const records = downloadArchive.listRecords(req.query.format);
+  res.json({ records, total: records.length });
+});
 
-    const checkYtdlp = new Promise((resolve, reject) => {
-      const process = spawn('yt-dlp', ['--version']);
-      let version = '';
+/**
+ * DELETE /api/archive
+ * 清除下载记录，清除后批量任务会重新下载这些视频
+ * Query: format - 只清除指定格式 (可选), videoId - 只清除指定视频 (可选)
+ */
+router.delete('/archive', (req, res) => {
+  const { format, videoId } = req.query;
+  const removed = downloadArchive.clearRecords({ format, videoId });
+  res.json({ success: true, removed });
+});
 
-      process.stdout.on('data', (data) => {
-        version += data.toString();
-      });
+// ===== 订阅 API =====
 
-      process.on('close', (code) => {
-        if (code === 0) {
-          resolve(version.trim());
-        } else {
-          reject(new Error('yt-dlp not found'));
-        }
-      });
+/**
+ * GET /api/subscriptions
+ * 列出所有订阅及最近一次同步结果
+ */
+router.get('/subscriptions', (req, res) => {
+  res.json({ subscriptions: subscriptions.listSubscriptions() });
+});
 
-      process.on('error', () => {
-        reject(new Error('yt-dlp not installed'));
-      });
-    });
+/**
+ * POST /api/subscriptions
+ * 订阅频道或播放列表，创建后立即同步一次
+ * Body: { url: string, format?: string|object, intervalMinutes?: number, title?: string, includeExisting?: boolean }
+ */
+router.post('/subscriptions', (req, res) => {
+  const { url, intervalMinutes, title, includeExisting } = req.body;
+
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({ error: 'Missing url', code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const { link, error: urlError } = parseUrlParam(url, SUBSCRIBABLE_TYPES);
+  if (urlError) {
+    return res.status(400).json({ error: urlError, code: ERROR_CODES.INVALID_URL });
+  }
+
+  const { format, error } = req.body.format === undefined ? {} : parseFormatOptions(req.body.format);
+  if (error) {
+    return res.status(400).json({ error, code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const subscription = subscriptions.createSubscription({ url: link.url, format, intervalMinutes, title, includeExisting });
+  res.status(201).json(subscription);
+});
+
+/**
+ * GET /api/subscriptions/:id
+ * 获取订阅详情
+ */
+router.get('/subscriptions/:id', (req, res) => {
+  const subscription = subscriptions.getSubscription(req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Subscription not found', code: ERROR_CODES.NOT_FOUND });
+  }
+  res.json(subscription);
+});
+
+/**
+ * PATCH /api/subscriptions/:id
+ * 修改订阅
+ * Body: { format?: string|object, intervalMinutes?: number, title?: string, enabled?: boolean }
+ */
+router.patch('/subscriptions/:id', (req, res) => {
+  const { intervalMinutes, title, enabled } = req.body;
+
+  const { format, error } = req.body.format === undefined ? {} : parseFormatOptions(req.body.format);
+  if (error) {
+    return res.status(400).json({ error, code: ERROR_CODES.BAD_REQUEST });
+  }
+
+  const subscription = subscriptions.updateSubscription(req.params.id, { format, intervalMinutes, title, enabled });
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Subscription not found', code: ERROR_CODES.NOT_FOUND });
+  }
+  res.json(subscription);
+});
+
+/**
+ * DELETE /api/subscriptions/:id
+ * 取消订阅
+ */
+router.delete('/subscriptions/:id', (req, res) => {
+  if (!subscriptions.removeSubscription(req.params.id)) {
+    return res.status(404).json({ error: 'Subscription not found', code: ERROR_CODES.NOT_FOUND });
+  }
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/subscriptions/:id/sync
+ * 立即同步（后台执行，结果见订阅的 lastRun）
+ */
+router.post('/subscriptions/:id/sync', (req, res) => {
+  if (!subscriptions.getSubscription(req.params.id)) {
+    return res.status(404).json({ error: 'Subscription not found', code: ERROR_CODES.NOT_FOUND });
+  }
+
+  subscriptions.syncSubscription(req.params.id);
+  res.status(202).json(subscriptions.getSubscription(req.params.id));
+});
+
+// ===== 媒体库 API =====
+
+/**
+ * 媒体库未开启时返回 404
+ */
+function requireLibrary(req, res, next) {
+  if (!library.isEnabled()) {
+    return res.status(404).json({ error: 'Library mode is disabled', code: ERROR_CODES.NOT_FOUND });
+  }
+  next();
+}
+
+/**
+ * GET /api/library
+ * 检索下载历史
+ * Query: q - 关键词, sort - createdAt|title|size|uploader, order - asc|desc, page, pageSize
+ */
+router.get('/library', requireLibrary, (req, res) => {
+  const { q, sort, order, page, pageSize } = req.query;
+  res.json(library.listLibrary({ q, sort, order, page, pageSize }));
+});
+
+/**
+ * GET /api/library/:id/file
+ * 重新下载媒体库中的文件
+ */
+router.get('/library/:id/file', requireLibrary, (req, res) => {
+  const entry = library.getEntry(req.params.id);
+
+  if (!entry || !fs.existsSync(entry.filepath)) {
+    return res.status(404).json({ error: 'File not found', code: ERROR_CODES.NOT_FOUND });
+  }
 
-    const ytdlpVersion = await checkYtdlp;
+  res.setHeader('Content-Disposition', contentDisposition(entry.filename));
+  sendFile(req, res, entry.filepath);
+});
+
+/**
+ * DELETE /api/library/:id
+ * 删除媒体库条目及文件
+ */
+router.delete('/library/:id', requireLibrary, (req, res) => {
+  if (!library.removeEntry(req.params.id)) {
+    return res.status(404).json({ error: 'Entry not found', code: ERROR_CODES.NOT_FOUND });
+  }
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/health
+ * 健康检查，同时验证 yt-dlp 是否可用，返回运行中的 yt-dlp / ffmpeg 进程数
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const ytdlpVersion = (await runProcess('yt-dlp', ['--version'], { operation: 'health' })).trim();
 
     res.json({
       status: 'ok',
       ytdlp: {
         installed: true,
         version: ytdlpVersion
-      }
+      },
+      library: {
+        enabled: library.isEnabled()
+      },
+      cache: ytdlp.getCacheStats(),
+      processes: getProcessStats()
     });
   } catch (error) {
     res.status(503).json({
       status: 'error',
+      code: ERROR_CODES.YTDLP_MISSING,
       ytdlp: {
         installed: false,
         error: error.message
@@ -375,6 +1151,16 @@ router.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/cache
+ * 清除视频元数据缓存
+ * Query: url - 只清除该视频（也可传视频 ID，可选）
+ */
+router.delete('/cache', (req, res) => {
+  const removed = ytdlp.purgeMetadataCache(req.query.url);
+  res.json({ success: true, removed, cache: ytdlp.getCacheStats() });
+});
+
 // ===== WebM 转 MP4 API =====
 
 // 配置 multer 用于视频文件上传
@@ -398,10 +1184,9 @@ const videoUpload = multer({
  */
 router.post('/convert-webm', videoUpload.single('video'), async (req, res) => {
   if (!req.file) {
-    return res.status(400).json({ error: '请选择视频文件' });
+    return res.status(400).json({ error: '请选择视频文件', code: ERROR_CODES.BAD_REQUEST });
   }
 
-  const { spawn } = require('child_process');
   const os = require('os');
 
   const inputPath = req.file.path;
@@ -414,7 +1199,7 @@ router.post('/convert-webm', videoUpload.single('video'), async (req, res) => {
 
   try {
     // 使用 ffmpeg 进行转换
-    const ffmpeg = spawn('ffmpeg', [
+    await runProcess('ffmpeg', [
       '-i', inputPath,
       '-c:v', 'libx264',
       '-crf', '23',
@@ -423,69 +1208,33 @@ router.post('/convert-webm', videoUpload.single('video'), async (req, res) => {
       '-b:a', '128k',
       '-y', // 覆盖已存在的文件
       outputPath
-    ]);
-
-    let stderr = '';
-
-    ffmpeg.stderr.on('data', (data) => {
-      stderr += data.toString();
-      // 可以从 stderr 中解析进度信息
+    ], { operation: 'ffmpeg', signal: abortOnClose(res) });
+  } catch (error) {
+    fs.unlink(outputPath, () => { });
+    console.error(`Convert error (${error.code}):`, error.details || error.message);
+    return sendError(res, error, '转换失败');
+  } finally {
+    // 删除上传的原始文件
+    fs.unlink(inputPath, (err) => {
+      if (err) console.error('Failed to delete uploaded file:', err);
     });
+  }
 
-    ffmpeg.on('close', (code) => {
-      // 删除上传的原始文件
-      fs.unlink(inputPath, (err) => {
-        if (err) console.error('Failed to delete uploaded file:', err);
-      });
-
-      if (code !== 0) {
-        console.error('ffmpeg failed:', stderr);
-        return res.status(500).json({ error: '转换失败: ' + stderr.slice(-500) });
-      }
-
-      // 检查输出文件是否存在
-      if (!fs.existsSync(outputPath)) {
-        return res.status(500).json({ error: '转换后的文件未找到' });
-      }
-
-      const stat = fs.statSync(outputPath);
-
-      // ASCII 安全的文件名
-      const asciiFilename = outputName
-        .replace(/[^\x20-\x7E]/g, '')
-        .replace(/[<>:"/\\|?*]/g, '_')
-        .trim() || 'converted.mp4';
-
-      // 设置响应头
-      res.setHeader('Content-Type', 'video/mp4');
-      res.setHeader('Content-Length', stat.size);
-      res.setHeader('Content-Disposition', `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(outputName)}`);
+  // 检查输出文件是否存在
+  if (!fs.existsSync(outputPath)) {
+    return res.status(500).json({ error: '转换后的文件未找到', code: ERROR_CODES.UNKNOWN });
+  }
 
-      // 流式返回文件
-      const readStream = fs.createReadStream(outputPath);
-      readStream.pipe(res);
+  res.setHeader('Content-Disposition', contentDisposition(outputName, 'converted.mp4'));
+  const readStream = sendFile(req, res, outputPath, { contentType: 'video/mp4' });
 
-      // 下载完成后删除临时文件
-      readStream.on('close', () => {
-        fs.unlink(outputPath, (err) => {
-          if (err) console.error('Failed to delete converted file:', err);
-        });
-      });
+  // 连接结束（完成或中断）后删除临时文件
+  res.on('close', () => {
+    if (readStream) readStream.destroy();
+    fs.unlink(outputPath, (err) => {
+      if (err) console.error('Failed to delete converted file:', err);
     });
-
-    ffmpeg.on('error', (err) => {
-      // 删除上传的原始文件
-      fs.unlink(inputPath, () => { });
-      console.error('ffmpeg spawn error:', err);
-      res.status(500).json({ error: 'ffmpeg 启动失败，请确保已安装 ffmpeg: ' + err.message });
-    });
-
-  } catch (error) {
-    // 清理上传的文件
-    fs.unlink(inputPath, () => { });
-    console.error('Convert error:', error);
-    res.status(500).json({ error: error.message || '转换失败' });
-  }
+  });
 });
 
 // ===== Cookies 管理 API =====
@@ -495,9 +1244,7 @@ router.post('/convert-webm', videoUpload.single('video'), async (req, res) => {
  * 检查 cookies 文件状态
  */
 router.get('/cookies/status', (req, res) => {
-  const cookiesPath = config.COOKIES_FILE
-    ? path.resolve(__dirname, '../../', config.COOKIES_FILE)
-    : null;
+  const cookiesPath = getCookiesPath();
 
   if (!cookiesPath) {
     return res.json({
@@ -544,7 +1291,8 @@ router.get('/cookies/status', (req, res) => {
   } catch (error) {
     res.status(500).json({
       configured: true,
-      error: error.message
+      error: error.message,
+      code: ERROR_CODES.UNKNOWN
     });
   }
 });
@@ -555,12 +1303,10 @@ router.get('/cookies/status', (req, res) => {
  */
 router.post('/cookies/upload', cookiesUpload.single('cookies'), (req, res) => {
   if (!req.file) {
-    return res.status(400).json({ error: '请选择文件' });
+    return res.status(400).json({ error: '请选择文件', code: ERROR_CODES.BAD_REQUEST });
   }
 
-  const cookiesPath = config.COOKIES_FILE
-    ? path.resolve(__dirname, '../../', config.COOKIES_FILE)
-    : path.resolve(__dirname, '../../cookies.txt');
+  const cookiesPath = getCookiesPath() || path.resolve(__dirname, '../../cookies.txt');
 
   try {
     // 读取上传的文件内容
@@ -573,7 +1319,8 @@ router.post('/cookies/upload', cookiesUpload.single('cookies'), (req, res) => {
     if (!hasYouTubeCookies) {
       fs.unlinkSync(req.file.path);
       return res.status(400).json({
-        error: '文件中未找到 YouTube 相关的 cookies，请确保已登录 YouTube 后导出'
+        error: '文件中未找到 YouTube 相关的 cookies，请确保已登录 YouTube 后导出',
+        code: ERROR_CODES.BAD_REQUEST
       });
     }
 
@@ -591,7 +1338,7 @@ router.post('/cookies/upload', cookiesUpload.single('cookies'), (req, res) => {
     if (fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
-    res.status(500).json({ error: '保存文件失败: ' + error.message });
+    res.status(500).json({ error: '保存文件失败: ' + error.message, code: ERROR_CODES.UNKNOWN });
   }
 });
 
@@ -600,9 +1347,7 @@ router.post('/cookies/upload', cookiesUpload.single('cookies'), (req, res) => {
  * 删除 cookies 文件
  */
 router.delete('/cookies', (req, res) => {
-  const cookiesPath = config.COOKIES_FILE
-    ? path.resolve(__dirname, '../../', config.COOKIES_FILE)
-    : null;
+  const cookiesPath = getCookiesPath();
 
   if (!cookiesPath || !fs.existsSync(cookiesPath)) {
     return res.json({ success: true, message: '文件不存在' });
@@ -612,7 +1357,7 @@ router.delete('/cookies', (req, res) => {
     fs.unlinkSync(cookiesPath);
     res.json({ success: true, message: '已删除 cookies 文件' });
   } catch (error) {
-    res.status(500).json({ error: '删除失败: ' + error.message });
+    res.status(500).json({ error: '删除失败: ' + error.message, code: ERROR_CODES.UNKNOWN });
   }
 });
 
@@ -0,0 +1,124 @@
+/**
+ * 音频转换预设
+ * 格式 ID 形如 bestaudio--<预设 ID>，如 bestaudio--mp3-320、bestaudio--opus-160
+ */
+
+// codec: yt-dlp --audio-format 的取值；mode: cbr（固定码率）、vbr（可变码率）或 lossless
+const AUDIO_PRESETS = [
+  { id: 'mp3-320', label: 'MP3 320k', codec: 'mp3', ext: 'mp3', mode: 'cbr', bitrate: 320 },
+  { id: 'mp3-256', label: 'MP3 256k', codec: 'mp3', ext: 'mp3', mode: 'cbr', bitrate: 256 },
+  { id: 'mp3-192', label: 'MP3 192k', codec: 'mp3', ext: 'mp3', mode: 'cbr', bitrate: 192 },
+  { id: 'mp3-128', label: 'MP3 128k', codec: 'mp3', ext: 'mp3', mode: 'cbr', bitrate: 128 },
+  { id: 'mp3-v0', label: 'MP3 V0', codec: 'mp3', ext: 'mp3', mode: 'vbr', quality: 0 },
+  { id: 'mp3-v2', label: 'MP3 V2', codec: 'mp3', ext: 'mp3', mode: 'vbr', quality: 2 },
+  { id: 'aac-256', label: 'AAC 256k', codec: 'm4a', ext: 'm4a', mode: 'cbr', bitrate: 256 },
+  { id: 'aac-128', label: 'AAC 128k', codec: 'm4a', ext: 'm4a', mode: 'cbr', bitrate: 128 },
+  { id: 'opus-160', label: 'Opus 160k', codec: 'opus', ext: 'opus', mode: 'vbr', bitrate: 160 },
+  { id: 'opus-96', label: 'Opus 96k', codec: 'opus', ext: 'opus', mode: 'vbr', bitrate: 96 },
+  { id: 'flac', label: 'FLAC', codec: 'flac', ext: 'flac', mode: 'lossless' },
+  { id: 'wav', label: 'WAV', codec: 'wav', ext: 'wav', mode: 'lossless' },
+];
+
+// 旧的格式 ID（bestaudio--mp3、bestaudio--m4a）仍然可用
+const ALIASES = {
+  mp3: 'mp3-320',
+  m4a: 'aac-256',
+};
+
+// 重新编码（响度标准化、按预设码率重新编码）时使用的 ffmpeg 编码器
+const ENCODERS = {
+  mp3: 'libmp3lame',
+  m4a: 'aac',
+  opus: 'libopus',
+  flac: 'flac',
+  wav: 'pcm_s16le',
+};
+
+/**
+ * 按 ID 查找预设（支持旧的别名）
+ * @returns {object|null}
+ */
+function getAudioPreset(id) {
+  const presetId = ALIASES[id] || id;
+  return AUDIO_PRESETS.find(preset => preset.id === presetId) || null;
+}
+
+/**
+ * 从格式 ID 中解析音频预设
+ * @param {string} format - 如 bestaudio--mp3-320
+ * @returns {{ source: string, preset: object|null, presetId: string }|null} - 不是转换格式时返回 null；
+ *          预设不存在时 preset 为 null
+ */
+function parseAudioFormat(format) {
+  const separator = format.indexOf('--');
+  if (separator === -1) return null;
+
+  const presetId = format.slice(separator + 2);
+  return { source: format.slice(0, separator), preset: getAudioPreset(presetId), presetId };
+}
+
+/**
+ * 预设说明文字
+ */
+function describePreset(preset) {
+  if (preset.mode === 'lossless') return '无损 (需要ffmpeg)';
+  if (preset.mode === 'vbr' && preset.quality !== undefined) return `VBR 质量 ${preset.quality} (需要ffmpeg)`;
+  return `${preset.mode === 'cbr' ? 'CBR' : 'VBR'} ${preset.bitrate}kbps (需要ffmpeg)`;
+}
+
+/**
+ * yt-dlp 提取音频参数
+ * 源音频已是目标编码时（如 Opus → Opus）yt-dlp 直接复制音轨，不按码率重新编码，
+ * 此时由 ytdlp.downloadFile 检查实际码率，与预设不符时用 getEncoderArgs 重新编码
+ */
+function getExtractArgs(preset) {
+  const quality = preset.bitrate ? `${preset.bitrate}K` : String(preset.quality ?? 0);
+  return ['-x', '--audio-format', preset.codec, '--audio-quality', quality];
+}
+
+/**
+ * ffmpeg 编码参数（用于响度标准化，或 yt-dlp 直接复制了码率不符的音轨时重新编码）
+ */
+function getEncoderArgs(preset) {
+  const args = ['-c:a', ENCODERS[preset.codec]];
+
+  if (preset.bitrate) {
+    args.push('-b:a', `${preset.bitrate}k`);
+  } else if (preset.quality !== undefined) {
+    args.push('-q:a', String(preset.quality));
+  }
+  return args;
+}
+
+/**
+ * 对外返回的预设（getFormats 的 audioPresets）
+ */
+function toPublicPreset(preset) {
+  return {
+    format_id: `bestaudio--${preset.id}`,
+    label: preset.label,
+    note: describePreset(preset),
+    ext: preset.ext,
+    codec: preset.codec,
+    mode: preset.mode,
+    bitrate: preset.bitrate || null,
+    quality: preset.quality ?? null,
+    needsConvert: true,
+  };
+}
+
+/**
+ * 列出全部预设
+ */
+function listAudioPresets() {
+  return AUDIO_PRESETS.map(toPublicPreset);
+}
+
+module.exports = {
+  getAudioPreset,
+  parseAudioFormat,
+  getExtractArgs,
+  getEncoderArgs,
+  toPublicPreset,
+  listAudioPresets,
+};
@@ -0,0 +1,104 @@
+/**
+ * 批量任务打包（以及按章节拆分的文件打包）
+ * 将任务中已完成的文件边读边写为 zip 流，不在内存或磁盘中生成完整压缩包
+ */
+
+const archiver = require('archiver');
+const path = require('path');
+
+/**
+ * 为每个文件生成压缩包内唯一的文件名
+ * 同名文件追加序号：标题.mp3、标题 (2).mp3
+ */
+function assignEntryNames(files) {
+  const used = new Set();
+
+  return files.map(file => {
+    const ext = path.extname(file.filename);
+    const base = path.basename(file.filename, ext).replace(/[<>:"/\\|?*]/g, '_').trim() || 'download';
+
+    let name = `${base}${ext}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base} (${n})${ext}`;
+    }
+    used.add(name.toLowerCase());
+
+    return { ...file, entryName: name };
+  });
+}
+
+/**
+ * 生成 m3u 播放列表
+ */
+function buildM3u(entries) {
+  const lines = ['#EXTM3U'];
+  for (const entry of entries) {
+    const title = path.basename(entry.entryName, path.extname(entry.entryName));
+    lines.push(`#EXTINF:-1,${title}`, entry.entryName);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 创建任务压缩包流
+ * @param {object} task - downloadQueue.getTaskFiles() 的返回值
+ * @param {object} [options]
+ * @param {boolean} [options.m3u] - 是否附带 playlist.m3u
+ * @returns {{ archive: object, entries: object[] }} - archiver 实例（需调用方 pipe 并 finalize）及文件列表
+ */
+function createTaskBundle(task, { m3u = true } = {}) {
+  // 媒体文件本身已压缩，只做存储可以显著降低 CPU 占用
+  const archive = archiver('zip', { store: true });
+
+  const completed = task.items.filter(item => item.status === 'completed');
+  const entries = assignEntryNames(completed);
+
+  for (const entry of entries) {
+    archive.file(entry.filepath, { name: entry.entryName });
+  }
+
+  if (m3u && entries.length > 0) {
+    archive.append(buildM3u(entries), { name: 'playlist.m3u' });
+  }
+
+  // 索引文件，记录每个条目的来源和结果（包括失败的条目）
+  const entryNames = new Map(entries.map(entry => [entry.index, entry.entryName]));
+  const index = {
+    taskId: task.taskId,
+    title: task.title,
+    createdAt: new Date(task.createdAt).toISOString(),
+    generatedAt: new Date().toISOString(),
+    items: task.items.map(item => ({
+      index: item.index,
+      url: item.url,
+      status: item.status,
+      file: entryNames.get(item.index) || null,
+      error: item.error || null,
+    })),
+  };
+  archive.append(JSON.stringify(index, null, 2), { name: 'index.json' });
+
+  return { archive, entries };
+}
+
+/**
+ * 创建按章节拆分的压缩包流，附带按章节顺序排列的 playlist.m3u
+ * @param {object} result - ytdlp.downloadChapters() 的返回值
+ * @returns {object} - archiver 实例（需调用方 pipe 并 finalize）
+ */
+function createChapterBundle({ tracks }) {
+  const archive = archiver('zip', { store: true });
+  const entries = assignEntryNames(tracks);
+
+  for (const entry of entries) {
+    archive.file(entry.filepath, { name: entry.entryName });
+  }
+  archive.append(buildM3u(entries), { name: 'playlist.m3u' });
+
+  return archive;
+}
+
+module.exports = {
+  createTaskBundle,
+  createChapterBundle,
+};
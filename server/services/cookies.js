@@ -0,0 +1,38 @@
+/**
+ * Cookies 配置
+ * yt-dlp 的 cookies 参数和 cookies 文件路径（见 config.COOKIES_FILE / COOKIES_FROM_BROWSER）
+ */
+
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * cookies 文件的绝对路径，未配置时返回 null
+ */
+function getCookiesPath() {
+  return config.COOKIES_FILE ? path.resolve(__dirname, '../../', config.COOKIES_FILE) : null;
+}
+
+/**
+ * 获取 cookies 参数
+ * @returns {string[]} - cookies 相关的命令行参数
+ */
+function getCookiesArgs() {
+  const cookiesPath = getCookiesPath();
+  if (cookiesPath) {
+    // 使用 cookies 文件（文件存在时才传入，否则 yt-dlp 会报错）
+    if (fs.existsSync(cookiesPath)) {
+      return ['--cookies', cookiesPath];
+    }
+  } else if (config.COOKIES_FROM_BROWSER) {
+    // 从浏览器获取 cookies
+    return ['--cookies-from-browser', config.COOKIES_FROM_BROWSER];
+  }
+  return [];
+}
+
+module.exports = {
+  getCookiesPath,
+  getCookiesArgs,
+};
@@ -0,0 +1,114 @@
+/**
+ * 下载记录（按格式区分）
+ * 类似 yt-dlp 的 --download-archive，由服务端维护：记录每个视频以哪种格式下载过，
+ * 批量任务据此跳过已下载的视频
+ */
+
+const { createStore } = require('./store');
+const { extractVideoId } = require('./ytdlp');
+const { formatKey } = require('./formatSelector');
+
+const archiveStore = createStore('archive.json');
+
+// `${format}|${videoId}` -> 记录，format 为 formatSelector.formatKey 的结果（结构化格式请求为其 JSON 形式，附带兼容 MP4 等选项）
+const records = new Map();
+let loaded = false;
+
+function recordKey(format, videoId) {
+  return `${format}|${videoId}`;
+}
+
+/**
+ * 首次使用时从本地存储加载
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+
+  const data = archiveStore.load();
+  for (const record of data?.records || []) {
+    records.set(recordKey(record.format, record.videoId), record);
+  }
+}
+
+function persist() {
+  archiveStore.save({ records: [...records.values()] });
+}
+
+/**
+ * 视频是否已以该格式和下载选项下载过
+ * @param {object} [options] - 改变输出结果的下载选项 { compatible, loudnorm }（见 formatSelector.formatKey）
+ */
+function hasDownloaded(url, format, options = {}) {
+  ensureLoaded();
+  const videoId = extractVideoId(url);
+  return Boolean(videoId) && records.has(recordKey(formatKey(format, options), videoId));
+}
+
+/**
+ * 记录一次成功的下载
+ * @param {object} [details] - 附加信息，如 { filename }
+ * @param {object} [options] - 同 hasDownloaded
+ */
+function recordDownload(url, format, details = {}, options = {}) {
+  ensureLoaded();
+  const videoId = extractVideoId(url);
+  if (!videoId) return;
+
+  const key = formatKey(format, options);
+  records.set(recordKey(key, videoId), {
+    videoId,
+    format: key,
+    url,
+    filename: details.filename || null,
+    downloadedAt: Date.now(),
+  });
+  persist();
+}
+
+/**
+ * 记录是否属于指定格式：不带选项的格式同时匹配开启了兼容 MP4 等选项的记录
+ */
+function matchesFormat(record, format) {
+  return record.format === format || (!format.includes('#') && record.format.startsWith(`${format}#`));
+}
+
+/**
+ * 列出下载记录，按下载时间倒序
+ * @param {string} [format] - 只列出指定格式
+ */
+function listRecords(format) {
+  ensureLoaded();
+  return [...records.values()]
+    .filter(record => !format || matchesFormat(record, format))
+    .sort((a, b) => b.downloadedAt - a.downloadedAt);
+}
+
+/**
+ * 清除下载记录
+ * @param {object} [filter]
+ * @param {string} [filter.format] - 只清除指定格式
+ * @param {string} [filter.videoId] - 只清除指定视频
+ * @returns {number} - 清除的记录数
+ */
+function clearRecords({ format, videoId } = {}) {
+  ensureLoaded();
+
+  let count = 0;
+  for (const [key, record] of records) {
+    if (format && !matchesFormat(record, format)) continue;
+    if (videoId && record.videoId !== videoId) continue;
+    records.delete(key);
+    count++;
+  }
+
+  if (count > 0) persist();
+  return count;
+}
+
+module.exports = {
+  hasDownloaded,
+  recordDownload,
+  listRecords,
+  clearRecords,
+};
@@ -1,178 +1,299 @@
 /**
  * 下载队列管理器
- * 管理批量下载任务，按顺序执行
+ * 管理批量下载任务，由全局调度器在并发上限内分配下载名额
+ * 任务状态持久化到本地，服务重启后自动恢复
  */
 
-const { spawn, execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const config = require('../config');
+const { TEMP_PREFIX, createTempId, removeTempFiles, downloadFile } = require('./ytdlp');
+const { publish, clearChannel } = require('./progress');
+const { withRetry } = require('./errors');
+const { createStore } = require('./store');
+const library = require('./library');
+const downloadArchive = require('./downloadArchive');
+
+// 正在运行的下载：`${taskId}:${index}` -> { controller, child }（所有任务共享并发名额）
+// controller 的取消信号同时终止 yt-dlp、后期处理的 ffmpeg 和重试等待；child 为最近启动的 yt-dlp 进程
+const runningDownloads = new Map();
+
+// 队列状态持久化
+const taskStore = createStore('queue.json');
+
+// 已结束的条目状态（不再被调度）
+const FINISHED_STATUSES = ['completed', 'skipped', 'error', 'cancelled'];
 
 // 下载队列
-const downloadQueue = new Map(); // taskId -> { items: [], currentIndex: number, status: string }
+const downloadQueue = new Map(); // taskId -> { items: [], concurrency: number, status: string }
 const completedFiles = new Map(); // taskId -> [{ filename, filepath }]
 
 /**
- * 获取 cookies 参数
+ * 保存队列状态
+ * 进度信息变化频繁且重启后无意义，不写入磁盘
  */
-function getCookiesArgs() {
-  if (config.COOKIES_FILE) {
-    const cookiesPath = path.resolve(__dirname, '../../', config.COOKIES_FILE);
-    if (fs.existsSync(cookiesPath)) {
-      return ['--cookies', cookiesPath];
-    }
-  } else if (config.COOKIES_FROM_BROWSER) {
-    return ['--cookies-from-browser', config.COOKIES_FROM_BROWSER];
+function persist() {
+  const tasks = {};
+  for (const [taskId, task] of downloadQueue) {
+    tasks[taskId] = {
+      ...task,
+      items: task.items.map(({ progress, ...item }) => item)
+    };
   }
-  return [];
+
+  taskStore.save({
+    tasks,
+    completedFiles: Object.fromEntries(completedFiles)
+  });
+}
+
+/**
+ * 正在运行的下载的键
+ */
+function runKey(taskId, index) {
+  return `${taskId}:${index}`;
+}
+
+/**
+ * 中断正在运行的条目（用于暂停），保留未完成的分片
+ * yt-dlp 已正常退出时正在后期处理，让它完成，结果照常保留；下载结束后 runItem 会释放名额并重新调度
+ */
+function interruptItem(taskId, index) {
+  const run = runningDownloads.get(runKey(taskId, index));
+  if (run && run.child?.exitCode !== 0) run.controller.abort();
+}
+
+/**
+ * 获取任务的进度频道名
+ */
+function getTaskChannel(taskId) {
+  return `queue:${taskId}`;
 }
 
 /**
  * 创建新的下载任务
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - 该任务允许同时下载的条目数，不超过全局上限
+ * @param {string} [options.title] - 任务名称（如播放列表标题），用于打包下载的文件名
+ * @param {boolean} [options.skipDownloaded] - 跳过以相同格式和选项（兼容 MP4、响度标准化）下载过的视频（见 downloadArchive）
+ * @param {object} [options.clip] - 每个视频只下载指定片段或章节（见 ytdlp.downloadFile）
+ *                                  剪辑下载不跳过、也不计入下载记录
+ * @param {object|null} [options.tags] - 覆盖 MP3/M4A 标签，null 表示不写入（见 ytdlp.downloadFile），专辑默认为任务名称
+ * @param {number[]} [options.positions] - 各视频在播放列表中的位置（从 1 开始），用作音轨序号
+ * @param {boolean} [options.loudnorm] - 对转换后的音频做响度标准化
+ * @param {boolean} [options.compatible] - 输出兼容的 MP4（H.264 + AAC）
  */
-function createTask(urls, format) {
-  const taskId = Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+function createTask(urls, format, { concurrency = config.TASK_CONCURRENCY, title = null, skipDownloaded = true, clip = null, tags = {}, positions = null, loudnorm = false, compatible = false } = {}) {
+  const taskId = createTempId();
 
   downloadQueue.set(taskId, {
-    items: urls.map(url => ({
+    items: urls.map((url, i) => ({
       url,
       format,
-      status: 'pending', // pending, downloading, completed, error
+      position: positions ? positions[i] : null,
+      status: 'pending', // pending, downloading, completed, skipped, error, cancelled
       filename: null,
       filepath: null,
-      error: null
+      tempId: null,
+      error: null,
+      errorCode: null,
+      libraryId: null,
+      mp4Conversion: null,
+      progress: null
     })),
-    currentIndex: 0,
-    status: 'processing'
+    concurrency: normalizeConcurrency(concurrency),
+    title,
+    skipDownloaded: skipDownloaded && !clip,
+    clip,
+    tags,
+    loudnorm,
+    compatible,
+    status: 'processing',
+    createdAt: Date.now()
   });
 
   completedFiles.set(taskId, []);
+  persist();
 
-  // 开始处理队列
-  processQueue(taskId);
+  // 交给调度器分配下载名额
+  schedule();
 
   return taskId;
 }
 
 /**
- * 处理队列中的下载任务
+ * 限制任务并发数在 1 ~ 全局上限之间
  */
-async function processQueue(taskId) {
-  const task = downloadQueue.get(taskId);
-  if (!task) return;
+function normalizeConcurrency(value) {
+  const concurrency = parseInt(value) || 1;
+  return Math.max(1, Math.min(concurrency, config.MAX_CONCURRENT_DOWNLOADS));
+}
 
-  while (task.currentIndex < task.items.length) {
-    const item = task.items[task.currentIndex];
-    item.status = 'downloading';
+/**
+ * 调度下载
+ * 在全局并发上限内，轮流为每个任务启动下一个待下载条目，
+ * 避免先创建的大任务独占所有名额
+ */
+function schedule() {
+  let started = true;
 
-    try {
-      const result = await downloadFile(item.url, item.format);
-      item.status = 'completed';
-      item.filename = result.filename;
-      item.filepath = result.filepath;
+  while (started && runningDownloads.size < config.MAX_CONCURRENT_DOWNLOADS) {
+    started = false;
 
-      // 添加到已完成列表
-      completedFiles.get(taskId).push({
-        index: task.currentIndex,
-        filename: result.filename,
-        filepath: result.filepath
-      });
+    for (const [taskId, task] of downloadQueue) {
+      if (runningDownloads.size >= config.MAX_CONCURRENT_DOWNLOADS) break;
+      if (task.status !== 'processing') continue;
 
-      console.log(`[Queue] Completed ${task.currentIndex + 1}/${task.items.length}: ${result.filename}`);
-    } catch (error) {
-      item.status = 'error';
-      item.error = error.message;
-      console.error(`[Queue] Error downloading:`, error.message);
-    }
+      const running = task.items.filter(i => i.status === 'downloading').length;
+      if (running >= task.concurrency) continue;
 
-    task.currentIndex++;
-  }
+      // 刚被暂停的条目在旧进程退出前不能重新启动，否则会争抢同一个临时文件
+      const index = task.items.findIndex((i, idx) => i.status === 'pending' && !runningDownloads.has(runKey(taskId, idx)));
+      if (index === -1) continue;
 
-  task.status = 'completed';
-  console.log(`[Queue] Task ${taskId} completed`);
+      // 已下载过的视频直接跳过，不占用名额
+      if (task.skipDownloaded && downloadArchive.hasDownloaded(task.items[index].url, task.items[index].format, archiveOptions(task))) {
+        skipItem(taskId, index);
+      } else {
+        runItem(taskId, index);
+      }
+      started = true;
+    }
+  }
 }
 
 /**
- * 下载单个文件
+ * 下载记录区分的任务选项：同一格式开启这些选项后输出不同，需要重新下载
  */
-function downloadFile(url, format) {
-  return new Promise((resolve, reject) => {
-    const tempDir = os.tmpdir();
-    const tempId = Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-    const tempFilePath = path.join(tempDir, `ytdl-${tempId}`);
-
-    // 解析格式
-    let actualFormat = format;
-    let audioFormat = null;
-
-    if (format.includes('--')) {
-      const parts = format.split('--');
-      actualFormat = parts[0];
-      audioFormat = parts[1];
-    }
-
-    // 构建 yt-dlp 参数，包含 cookies
-    const args = [
-      ...getCookiesArgs(),
-      '-f', actualFormat,
-      '-o', tempFilePath + '.%(ext)s',
-      '--no-playlist',
-      '--no-warnings',
-    ];
-
-    if (audioFormat) {
-      args.push('-x');
-      args.push('--audio-format', audioFormat);
-      args.push('--audio-quality', '0');
-    }
-
-    args.push(url);
+function archiveOptions(task) {
+  return { compatible: Boolean(task.compatible), loudnorm: Boolean(task.loudnorm) };
+}
 
-    console.log('[Queue] Downloading:', url);
+/**
+ * 将条目标记为已跳过（之前已下载过）
+ */
+function skipItem(taskId, index) {
+  const item = downloadQueue.get(taskId).items[index];
+  item.status = 'skipped';
 
-    const ytdlp = spawn('yt-dlp', args);
-    let stderr = '';
+  publish(getTaskChannel(taskId), 'item', { index, status: item.status });
+  finishTaskIfDone(taskId);
+  persist();
+}
 
-    ytdlp.stderr.on('data', (data) => {
-      stderr += data.toString();
+/**
+ * 下载任务中的单个条目，完成后释放名额并继续调度
+ */
+async function runItem(taskId, index) {
+  const task = downloadQueue.get(taskId);
+  const item = task.items[index];
+  const channel = getTaskChannel(taskId);
+  const key = runKey(taskId, index);
+
+  // 先占用名额，进程启动后再记录子进程
+  const run = { controller: new AbortController(), child: null };
+  runningDownloads.set(key, run);
+  item.status = 'downloading';
+  item.error = null;
+  item.errorCode = null;
+  // 暂停后继续时沿用原临时文件，yt-dlp 会从 .part 文件断点续传
+  item.tempId = item.tempId || createTempId();
+  const tempId = item.tempId;
+  persist();
+  publish(channel, 'item', { index, status: item.status });
+
+  try {
+    const result = await withRetry(() => downloadFile(item.url, item.format, {
+      tempId,
+      clip: task.clip,
+      tags: task.tags === null ? null : { album: task.title, track: item.position, ...task.tags },
+      loudnorm: Boolean(task.loudnorm),
+      compatible: Boolean(task.compatible),
+      signal: run.controller.signal,
+      onSpawn: (child) => {
+        run.child = child;
+      },
+      onProgress: (progress) => {
+        item.progress = progress;
+        publish(channel, 'progress', { index, ...progress });
+      }
+    }), {
+      // 暂停或取消后不再重试
+      signal: run.controller.signal,
+      shouldRetry: () => item.status === 'downloading',
+      onRetry: (error, attempt, delay) => {
+        console.warn(`[Queue] Retrying ${item.url} in ${delay}ms (attempt ${attempt}, ${error.code})`);
+        publish(channel, 'retry', { index, attempt, delay, code: error.code, error: error.message });
+      }
     });
 
-    ytdlp.on('close', (code) => {
-      if (code !== 0) {
-        return reject(new Error(stderr));
+    // 下载期间任务可能已被清理或条目被取消（暂停时已在后期处理的下载照常完成）
+    if (!downloadQueue.has(taskId) || item.status === 'cancelled') {
+      fs.unlink(result.filepath, () => { });
+    } else {
+      // 媒体库模式下文件移入输出目录，由媒体库管理
+      let file = result;
+      if (library.isEnabled()) {
+        const entry = await library.addToLibrary(result, { url: item.url, format: item.format });
+        file = { filename: result.filename, filepath: entry.filepath };
+        item.libraryId = entry.id;
       }
 
-      // 查找下载的文件
-      const files = fs.readdirSync(tempDir).filter(f => f.startsWith(`ytdl-${tempId}`));
-
-      if (files.length === 0) {
-        return reject(new Error('Downloaded file not found'));
+      item.status = 'completed';
+      item.filename = file.filename;
+      item.filepath = file.filepath;
+      item.mp4Conversion = result.mp4Conversion || null;
+      if (!task.clip) {
+        downloadArchive.recordDownload(item.url, item.format, { filename: file.filename }, archiveOptions(task));
       }
 
-      const downloadedFile = path.join(tempDir, files[0]);
-      const ext = path.extname(files[0]);
+      // 添加到已完成列表
+      completedFiles.get(taskId).push({
+        index,
+        filename: file.filename,
+        filepath: file.filepath
+      });
 
-      // 获取视频标题（也需要 cookies）
-      let filename = `download${ext}`;
-      try {
-        const cookiesArg = getCookiesArgs().join(' ');
-        const title = execSync(`yt-dlp ${cookiesArg} --get-title --no-warnings "${url}"`, { encoding: 'utf-8' }).trim();
-        if (title) {
-          filename = title.replace(/[<>:"/\\|?*]/g, '_').substring(0, 200) + ext;
-        }
-      } catch (e) {
-        // 忽略
-      }
+      console.log(`[Queue] Completed ${index + 1}/${task.items.length}: ${result.filename}`);
+    }
+  } catch (error) {
+    // 被暂停或取消而终止的进程不算失败
+    if (item.status === 'downloading') {
+      item.status = 'error';
+      item.error = error.message;
+      item.errorCode = error.code;
+      console.error(`[Queue] Error downloading (${error.code}):`, error.details || error.message);
+    }
+  } finally {
+    runningDownloads.delete(key);
+  }
 
-      resolve({
-        filename,
-        filepath: downloadedFile
-      });
-    });
+  // 条目被取消或任务被清理后不会再续传，等进程都退出后再删除临时文件，避免删除时文件仍在写入
+  if (!downloadQueue.has(taskId) || item.tempId !== tempId) {
+    removeTempFiles(tempId);
+  }
 
-    ytdlp.on('error', reject);
-  });
+  if (downloadQueue.has(taskId)) {
+    publish(channel, 'item', { index, status: item.status, filename: item.filename, error: item.error, errorCode: item.errorCode, mp4Conversion: item.mp4Conversion });
+    finishTaskIfDone(taskId);
+    persist();
+  }
+
+  schedule();
+}
+
+/**
+ * 所有条目都处理完后将任务标记为完成
+ */
+function finishTaskIfDone(taskId) {
+  const task = downloadQueue.get(taskId);
+  const unfinished = task.items.some(i => !FINISHED_STATUSES.includes(i.status));
+  if (unfinished || task.status !== 'processing') return;
+
+  task.status = 'completed';
+  publish(getTaskChannel(taskId), 'task', { status: task.status });
+  console.log(`[Queue] Task ${taskId} completed`);
 }
 
 /**
@@ -184,13 +305,20 @@ function getTaskStatus(taskId) {
 
   return {
     status: task.status,
+    title: task.title,
     total: task.items.length,
     completed: task.items.filter(i => i.status === 'completed').length,
-    current: task.currentIndex,
+    skipped: task.items.filter(i => i.status === 'skipped').length,
+    current: task.items.filter(i => FINISHED_STATUSES.includes(i.status)).length,
+    active: task.items.filter(i => i.status === 'downloading').length,
+    concurrency: task.concurrency,
     items: task.items.map(i => ({
       status: i.status,
       filename: i.filename,
-      error: i.error
+      error: i.error,
+      errorCode: i.errorCode,
+      mp4Conversion: i.mp4Conversion || null,
+      progress: i.progress
     }))
   };
 }
@@ -202,7 +330,9 @@ function getNextCompletedFile(taskId) {
   const files = completedFiles.get(taskId);
   if (!files || files.length === 0) return null;
 
-  return files.shift(); // 取出第一个
+  const file = files.shift(); // 取出第一个
+  persist();
+  return file;
 }
 
 /**
@@ -221,27 +351,262 @@ function getFileInfo(taskId, index) {
   };
 }
 
+/**
+ * 获取任务的全部条目及文件路径（用于打包下载）
+ */
+function getTaskFiles(taskId) {
+  const task = downloadQueue.get(taskId);
+  if (!task) return null;
+
+  return {
+    taskId,
+    title: task.title,
+    createdAt: task.createdAt,
+    items: task.items.map((item, index) => ({
+      index,
+      url: item.url,
+      status: item.status,
+      filename: item.filename,
+      filepath: item.filepath,
+      error: item.error
+    }))
+  };
+}
+
+/**
+ * 暂停任务
+ * 正在下载的条目会被终止并重新排队，保留未完成的分片以便继续时断点续传；已在后期处理的条目照常完成
+ * @returns {boolean} - 是否成功暂停
+ */
+function pauseTask(taskId) {
+  const task = downloadQueue.get(taskId);
+  if (!task || task.status !== 'processing') return false;
+
+  task.status = 'paused';
+  task.items.forEach((item, index) => {
+    if (item.status === 'downloading') {
+      item.status = 'pending';
+      item.progress = null;
+      interruptItem(taskId, index);
+    }
+  });
+
+  persist();
+  publish(getTaskChannel(taskId), 'task', { status: task.status });
+  return true;
+}
+
+/**
+ * 继续已暂停的任务
+ * @returns {boolean} - 是否成功继续
+ */
+function resumeTask(taskId) {
+  const task = downloadQueue.get(taskId);
+  if (!task || task.status !== 'paused') return false;
+
+  task.status = 'processing';
+  publish(getTaskChannel(taskId), 'task', { status: task.status });
+  // 暂停期间仍在后期处理的条目可能已经完成了全部剩余的下载
+  finishTaskIfDone(taskId);
+  persist();
+  schedule();
+  return true;
+}
+
+/**
+ * 取消单个条目：终止下载进程并删除未完成的文件
+ * @returns {boolean} - 是否成功取消（已结束的条目不能取消）
+ */
+function cancelItem(taskId, index) {
+  const task = downloadQueue.get(taskId);
+  const item = task?.items[index];
+  if (!item || FINISHED_STATUSES.includes(item.status)) return false;
+
+  item.status = 'cancelled';
+  item.progress = null;
+
+  // 仍在运行的下载（包括刚暂停、仍在后期处理的条目）由 runItem 在结束后删除临时文件
+  const run = runningDownloads.get(runKey(taskId, index));
+  if (run) {
+    run.controller.abort();
+  } else if (item.tempId) {
+    removeTempFiles(item.tempId);
+  }
+  item.tempId = null;
+
+  publish(getTaskChannel(taskId), 'item', { index, status: item.status });
+  finishTaskIfDone(taskId);
+  persist();
+  schedule();
+  return true;
+}
+
+/**
+ * 取消任务中所有未结束的条目
+ * @returns {boolean} - 是否成功取消
+ */
+function cancelTask(taskId) {
+  const task = downloadQueue.get(taskId);
+  if (!task || task.status === 'completed' || task.status === 'cancelled') return false;
+
+  // 先标记任务，避免逐个取消条目时被判定为正常完成
+  task.status = 'cancelled';
+  task.items.forEach((item, index) => cancelItem(taskId, index));
+
+  persist();
+  publish(getTaskChannel(taskId), 'task', { status: task.status });
+  return true;
+}
+
+/**
+ * 重试失败或已取消的条目
+ * @param {number|null} index - 指定条目，null 表示重试任务中所有失败/取消的条目
+ * @returns {number} - 重新排队的条目数
+ */
+function retryItems(taskId, index = null) {
+  const task = downloadQueue.get(taskId);
+  if (!task) return 0;
+
+  let count = 0;
+  task.items.forEach((item, i) => {
+    if (index !== null && i !== index) return;
+    if (item.status !== 'error' && item.status !== 'cancelled') return;
+
+    item.status = 'pending';
+    item.error = null;
+    item.errorCode = null;
+    item.progress = null;
+    count++;
+    publish(getTaskChannel(taskId), 'item', { index: i, status: item.status });
+  });
+
+  if (count > 0) {
+    // 已结束的任务重新开始处理，暂停中的任务保持暂停
+    if (task.status !== 'paused') {
+      task.status = 'processing';
+      publish(getTaskChannel(taskId), 'task', { status: task.status });
+    }
+    persist();
+    schedule();
+  }
+
+  return count;
+}
+
 /**
  * 清理任务
  */
 function cleanupTask(taskId) {
   const task = downloadQueue.get(taskId);
   if (task) {
-    // 删除所有临时文件
-    task.items.forEach(item => {
-      if (item.filepath && fs.existsSync(item.filepath)) {
+    // 先标记任务，避免取消条目时调度器启动下一个待下载条目
+    task.status = 'cancelled';
+    task.items.forEach((item, index) => {
+      // 终止正在运行的下载（包括刚暂停、仍在后期处理的条目）
+      if (runningDownloads.has(runKey(taskId, index))) {
+        cancelItem(taskId, index);
+      }
+      // 删除所有临时文件（已保存到媒体库的文件保留）
+      if (item.filepath && !item.libraryId && fs.existsSync(item.filepath)) {
         fs.unlinkSync(item.filepath);
       }
+      if (item.tempId) {
+        removeTempFiles(item.tempId);
+      }
     });
   }
   downloadQueue.delete(taskId);
   completedFiles.delete(taskId);
+  publish(getTaskChannel(taskId), 'task', { status: 'removed' });
+  clearChannel(getTaskChannel(taskId));
+  persist();
+}
+
+/**
+ * 从本地存储恢复任务（服务启动时调用）
+ * - 中断的下载：清理残留文件后重新排队
+ * - 已完成但文件丢失的条目：重新排队
+ * - 未被任何任务引用的临时文件：删除（暂停的条目保留未完成的分片，继续时断点续传）
+ */
+function restoreTasks() {
+  const data = taskStore.load();
+  const referencedFiles = new Set();
+  const resumablePrefixes = [];
+
+  if (data) {
+    for (const [taskId, task] of Object.entries(data.tasks || {})) {
+      for (const item of task.items) {
+        item.progress = null;
+
+        if (item.status === 'downloading') {
+          if (item.tempId) removeTempFiles(item.tempId);
+          item.status = 'pending';
+          item.tempId = null;
+        } else if (item.status === 'completed' && !(item.filepath && fs.existsSync(item.filepath))) {
+          item.status = 'pending';
+          item.filename = null;
+          item.filepath = null;
+        }
+
+        if (item.status === 'completed') {
+          referencedFiles.add(path.basename(item.filepath));
+        } else if (item.status === 'pending' && item.tempId) {
+          resumablePrefixes.push(`${TEMP_PREFIX}${item.tempId}.`);
+        }
+      }
+
+      // 只保留仍然可用的待取文件
+      const files = (data.completedFiles?.[taskId] || [])
+        .filter(file => task.items[file.index]?.status === 'completed');
+
+      // 暂停和取消的任务保持原状态，其余根据是否还有待下载条目决定
+      const hasPending = task.items.some(i => i.status === 'pending');
+      if (task.status !== 'paused' && task.status !== 'cancelled') {
+        task.status = hasPending ? 'processing' : 'completed';
+      }
+      task.concurrency = normalizeConcurrency(task.concurrency);
+      delete task.currentIndex;
+
+      downloadQueue.set(taskId, task);
+      completedFiles.set(taskId, files);
+    }
+  }
+
+  // 清理孤立的临时文件
+  const tempDir = os.tmpdir();
+  fs.readdirSync(tempDir)
+    .filter(f => f.startsWith(TEMP_PREFIX) && !referencedFiles.has(f))
+    .filter(f => !resumablePrefixes.some(prefix => f.startsWith(prefix)))
+    .forEach(f => {
+      fs.unlink(path.join(tempDir, f), (err) => {
+        if (!err) console.log(`[Queue] Removed orphaned temp file: ${f}`);
+      });
+    });
+
+  persist();
+
+  for (const [taskId, task] of downloadQueue) {
+    if (task.status === 'processing') {
+      console.log(`[Queue] Resuming task ${taskId}`);
+    }
+  }
+  schedule();
+
+  return downloadQueue.size;
 }
 
 module.exports = {
   createTask,
+  getTaskChannel,
   getTaskStatus,
   getNextCompletedFile,
   getFileInfo,
-  cleanupTask
+  getTaskFiles,
+  pauseTask,
+  resumeTask,
+  cancelItem,
+  cancelTask,
+  retryItems,
+  cleanupTask,
+  restoreTasks
 };
@@ -0,0 +1,168 @@
+/**
+ * 错误分类
+ * 将 yt-dlp / ffmpeg 的原始错误输出归类为稳定的错误码，并提供失败重试（指数退避）
+ */
+
+const config = require('../config');
+
+// 错误码（API 响应中的 code 字段）
+const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  INVALID_URL: 'INVALID_URL',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ACCESS_FORBIDDEN: 'ACCESS_FORBIDDEN',
+  SIGN_IN_REQUIRED: 'SIGN_IN_REQUIRED',
+  AGE_RESTRICTED: 'AGE_RESTRICTED',
+  VIDEO_PRIVATE: 'VIDEO_PRIVATE',
+  VIDEO_UNAVAILABLE: 'VIDEO_UNAVAILABLE',
+  GEO_BLOCKED: 'GEO_BLOCKED',
+  FORMAT_UNAVAILABLE: 'FORMAT_UNAVAILABLE',
+  FFMPEG_MISSING: 'FFMPEG_MISSING',
+  YTDLP_MISSING: 'YTDLP_MISSING',
+  PROCESS_TIMEOUT: 'PROCESS_TIMEOUT',
+  PROCESS_STALLED: 'PROCESS_STALLED',
+  CANCELLED: 'CANCELLED',
+  UNKNOWN: 'UNKNOWN',
+};
+
+/**
+ * 分类规则，按顺序匹配
+ * retryable - 是否为临时性错误，可自动重试
+ */
+const RULES = [
+  { code: ERROR_CODES.YTDLP_MISSING, status: 503, patterns: [/spawn yt-dlp ENOENT/i, /Failed to start yt-dlp/i] },
+  { code: ERROR_CODES.FFMPEG_MISSING, status: 503, patterns: [/ffmpeg (is )?not (found|installed)/i, /ffprobe and ffmpeg not found/i, /spawn ffmpeg ENOENT/i, /spawn ffprobe ENOENT/i] },
+  { code: ERROR_CODES.RATE_LIMITED, status: 429, retryable: true, patterns: [/HTTP Error 429/i, /Too Many Requests/i] },
+  { code: ERROR_CODES.AGE_RESTRICTED, status: 403, patterns: [/confirm your age/i, /age[- ]restricted/i, /inappropriate for some users/i] },
+  { code: ERROR_CODES.SIGN_IN_REQUIRED, status: 403, patterns: [/Sign in to confirm/i, /not a bot/i, /members[- ]only/i, /login required/i, /use --cookies/i] },
+  { code: ERROR_CODES.VIDEO_PRIVATE, status: 404, patterns: [/Private video/i, /video is private/i] },
+  { code: ERROR_CODES.GEO_BLOCKED, status: 451, patterns: [/not (made this video )?available in your country/i, /blocked it in your country/i, /geo[- ]?restrict/i] },
+  { code: ERROR_CODES.VIDEO_UNAVAILABLE, status: 404, patterns: [/Video unavailable/i, /has been removed/i, /no longer available/i, /account .* terminated/i, /does not exist/i] },
+  { code: ERROR_CODES.FORMAT_UNAVAILABLE, status: 422, patterns: [/Requested format is not available/i, /format .* not available/i] },
+  { code: ERROR_CODES.INVALID_URL, status: 400, patterns: [/Unsupported URL/i, /is not a valid URL/i, /Incomplete YouTube ID/i] },
+  { code: ERROR_CODES.ACCESS_FORBIDDEN, status: 403, retryable: true, patterns: [/HTTP Error 403/i] },
+  {
+    code: ERROR_CODES.NETWORK_ERROR,
+    status: 502,
+    retryable: true,
+    patterns: [
+      /Unable to download (webpage|API page|video data)/i,
+      /timed? ?out/i,
+      /Connection (reset|refused|aborted)/i,
+      /Temporary failure in name resolution/i,
+      /getaddrinfo/i,
+      /Network is unreachable/i,
+      /IncompleteRead/i,
+      /HTTP Error 5\d\d/i,
+    ],
+  },
+];
+
+/**
+ * 分类后的错误
+ */
+class YtdlpError extends Error {
+  constructor(code, message, { status = 500, retryable = false, details = null } = {}) {
+    super(message);
+    this.name = 'YtdlpError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.details = details; // 原始错误输出，仅用于日志
+  }
+}
+
+/**
+ * 从 yt-dlp 输出中提取简短的错误信息（最后一行 ERROR:）
+ */
+function extractMessage(text) {
+  const errorLines = text.split('\n').filter(line => line.startsWith('ERROR:'));
+  const line = errorLines.length > 0 ? errorLines[errorLines.length - 1] : text.trim().split('\n').pop();
+  return (line || '').replace(/^ERROR:\s*/, '').slice(0, 500);
+}
+
+/**
+ * 将错误归类为 YtdlpError
+ * @param {Error|string} error - 原始错误或 stderr 文本
+ * @returns {YtdlpError}
+ */
+function classifyError(error) {
+  if (error instanceof YtdlpError) return error;
+
+  const text = typeof error === 'string' ? error : (error && error.message) || '';
+  const rule = RULES.find(r => r.patterns.some(pattern => pattern.test(text)));
+
+  return new YtdlpError(
+    rule ? rule.code : ERROR_CODES.UNKNOWN,
+    extractMessage(text) || 'Unknown error',
+    {
+      status: rule ? rule.status : 500,
+      retryable: rule ? Boolean(rule.retryable) : false,
+      details: text,
+    }
+  );
+}
+
+/**
+ * 失败后按指数退避重试
+ * 只重试临时性错误（网络、限流等），其他错误立即抛出
+ * @param {function} fn - 返回 Promise 的操作，参数为当前尝试次数（从 1 开始）
+ * @param {object} [options]
+ * @param {number} [options.retries] - 最多重试次数
+ * @param {function} [options.shouldRetry] - 额外判断是否继续重试（如条目已被取消）
+ * @param {function} [options.onRetry] - 每次重试前调用 (error, attempt, delay)
+ * @param {AbortSignal} [options.signal] - 取消信号，取消后不再重试，等待重试期间取消时立即抛出上次的错误
+ */
+async function withRetry(fn, { retries = config.RETRY_ATTEMPTS, shouldRetry, onRetry, signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const error = classifyError(err);
+      const canRetry = error.retryable && attempt <= retries && !signal?.aborted && (!shouldRetry || shouldRetry(error));
+      if (!canRetry) throw error;
+
+      // 指数退避，加少量随机抖动避免多个任务同时重试
+      const delay = Math.min(config.RETRY_BASE_DELAY * 2 ** (attempt - 1), config.RETRY_MAX_DELAY)
+        + Math.floor(Math.random() * 500);
+      if (onRetry) onRetry(error, attempt, delay);
+      await new Promise((resolve) => {
+        const done = () => {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', done);
+          resolve();
+        };
+        const timer = setTimeout(done, delay);
+        if (signal) signal.addEventListener('abort', done, { once: true });
+      });
+
+      // 等待期间状态可能已变化（如被取消）
+      if (signal?.aborted || (shouldRetry && !shouldRetry(error))) throw error;
+    }
+  }
+}
+
+/**
+ * 生成 API 错误响应
+ * @param {object} res - Express 响应
+ * @param {Error} error - 任意错误，会先进行分类
+ * @param {string} [fallbackMessage] - 没有错误信息时使用
+ */
+function sendError(res, error, fallbackMessage) {
+  const classified = classifyError(error);
+  res.status(classified.status).json({
+    error: classified.message || fallbackMessage,
+    code: classified.code,
+  });
+}
+
+module.exports = {
+  ERROR_CODES,
+  YtdlpError,
+  classifyError,
+  withRetry,
+  sendError,
+};
@@ -0,0 +1,229 @@
+/**
+ * ffmpeg 封装
+ * 下载完成后的本地处理：截取片段、响度标准化、写入音频标签和封面、转换为兼容的 MP4
+ * 以及流式下载时边下载边合并音视频
+ */
+
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+const { classifyError } = require('./errors');
+const { spawnProcess, runProcess } = require('./processRunner');
+
+// 写入标签的音频格式（扩展名）
+const TAGGABLE_AUDIO = ['.mp3', '.m4a'];
+
+// 封面裁剪为居中的正方形
+const SQUARE_CROP = "crop='min(iw,ih)':'min(iw,ih)'";
+
+// 可写入管道（不需要回写文件头）的输出格式，MP4 使用分片 MP4
+const STREAM_MUXERS = {
+  mp4: ['-f', 'mp4', '-movflags', 'frag_keyframe+empty_moov+default_base_moof'],
+  webm: ['-f', 'webm'],
+  mkv: ['-f', 'matroska'],
+};
+
+/**
+ * 执行 ffmpeg，失败时删除未完成的输出文件
+ * @param {string[]} args - 命令行参数（最后一个为输出文件）
+ * @param {object} [options] - 进程选项，如 { signal }（见 processRunner.spawnProcess）
+ */
+async function runFfmpeg(args, options = {}) {
+  const outputPath = args[args.length - 1];
+
+  try {
+    await runProcess('ffmpeg', args, { operation: 'ffmpeg', ...options });
+  } catch (error) {
+    fs.unlink(outputPath, () => { });
+    throw error;
+  }
+}
+
+/**
+ * 读取文件中第一条视频流和音频流的编码，以及文件的平均码率
+ * @returns {Promise<{video: string|null, audio: string|null, bitrate: number|null}>} - 如 { video: 'vp9', audio: 'opus', bitrate: 1520 }，
+ *          没有该类型的流时为 null；bitrate 单位为 kbps，无法获取时为 null
+ */
+async function probeStreams(filepath) {
+  const stdout = await runProcess('ffprobe', ['-v', 'error', '-show_entries', 'stream=codec_type,codec_name:format=bit_rate', '-of', 'json', filepath], {
+    operation: 'metadata',
+  });
+
+  try {
+    const { streams = [], format = {} } = JSON.parse(stdout);
+    const codecOf = (type) => streams.find(stream => stream.codec_type === type)?.codec_name || null;
+    const bitrate = parseInt(format.bit_rate);
+    return { video: codecOf('video'), audio: codecOf('audio'), bitrate: bitrate > 0 ? Math.round(bitrate / 1000) : null };
+  } catch (error) {
+    throw classifyError(`Unexpected output from ffprobe: ${error.message}`);
+  }
+}
+
+/**
+ * 生成 -metadata 参数，忽略空值
+ */
+function metadataArgs(metadata) {
+  return Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+}
+
+/**
+ * 截取文件的指定时间范围（不重新编码）
+ * @param {string} inputPath - 源文件
+ * @param {string} outputPath - 输出文件
+ * @param {object} range - { start, end }（秒），end 为 null 表示到结尾
+ * @param {object} [metadata] - 写入输出文件的元数据，如 { title, track }
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 取消信号
+ */
+function cutSegment(inputPath, outputPath, { start, end }, metadata = {}, { signal } = {}) {
+  const args = ['-ss', String(start), '-i', inputPath];
+
+  if (end !== null) args.push('-t', String(end - start));
+  args.push('-map', '0', '-c', 'copy', '-map_chapters', '-1');
+  args.push(...metadataArgs(metadata), '-y', outputPath);
+
+  return runFfmpeg(args, { signal });
+}
+
+/**
+ * 按 EBU R128 标准化音频响度（单次 loudnorm），结果覆盖原文件
+ * loudnorm 需要重新编码，输出统一为 48kHz
+ * @param {string} filepath - 音频文件
+ * @param {string[]} encoderArgs - 编码参数，如 ['-c:a', 'libmp3lame', '-b:a', '320k']
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 取消信号
+ */
+async function normalizeLoudness(filepath, encoderArgs, { signal } = {}) {
+  const ext = path.extname(filepath);
+  const outputPath = filepath.slice(0, -ext.length) + `-loudnorm${ext}`;
+  const filter = `loudnorm=I=${config.LOUDNORM_TARGET}:TP=${config.LOUDNORM_TRUE_PEAK}:LRA=11`;
+
+  await runFfmpeg([
+    '-i', filepath,
+    '-map', '0:a',
+    '-af', filter,
+    '-ar', '48000',
+    ...encoderArgs,
+    '-y', outputPath,
+  ], { signal });
+  fs.renameSync(outputPath, filepath);
+}
+
+/**
+ * 按编码参数重新编码音频，结果覆盖原文件
+ * @param {string} filepath - 音频文件
+ * @param {string[]} encoderArgs - 编码参数，如 ['-c:a', 'libopus', '-b:a', '96k']
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 取消信号
+ */
+async function encodeAudio(filepath, encoderArgs, { signal } = {}) {
+  const ext = path.extname(filepath);
+  const outputPath = filepath.slice(0, -ext.length) + `-encoded${ext}`;
+
+  await runFfmpeg(['-i', filepath, '-map', '0:a', ...encoderArgs, '-y', outputPath], { signal });
+  fs.renameSync(outputPath, filepath);
+}
+
+/**
+ * 转换为 MP4（H.264 + AAC），已是目标编码的流直接复制
+ * 字幕流转换为 mov_text 保留
+ * @param {string} inputPath - 源文件
+ * @param {string} outputPath - 输出文件（.mp4）
+ * @param {object} options - { copyVideo, copyAudio }：是否直接复制视频流、音频流；signal：取消信号
+ */
+function convertToMp4(inputPath, outputPath, { copyVideo, copyAudio, signal }) {
+  const args = ['-i', inputPath, '-map', '0:v:0?', '-map', '0:a:0?', '-map', '0:s?'];
+
+  args.push(...(copyVideo ? ['-c:v', 'copy'] : ['-c:v', 'libx264', '-crf', '23', '-preset', 'fast', '-pix_fmt', 'yuv420p']));
+  args.push(...(copyAudio ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-b:a', '192k']));
+  args.push('-c:s', 'mov_text', '-movflags', '+faststart', '-y', outputPath);
+
+  return runFfmpeg(args, { signal });
+}
+
+/**
+ * 是否支持流式合并为该容器
+ */
+function canStreamMerge(container) {
+  return Boolean(STREAM_MUXERS[container]);
+}
+
+/**
+ * 启动 ffmpeg，从视频流和音频流的直链读取并合并（不重新编码），结果写到 stdout
+ * 调用方负责读取 stdout 和处理退出码；超时、长时间没有数据或取消时进程被终止（见 processRunner）
+ * @param {object[]} inputs - [{ url, headers }]，依次为视频和音频
+ * @param {string} container - mp4、webm 或 mkv（见 canStreamMerge）
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {ChildProcess}
+ */
+function spawnMergeStream(inputs, container, { signal } = {}) {
+  const args = ['-hide_banner', '-loglevel', 'error'];
+
+  for (const { url, headers = {} } of inputs) {
+    const headerLines = Object.entries(headers).map(([key, value]) => `${key}: ${value}\r\n`).join('');
+    if (headerLines) args.push('-headers', headerLines);
+    args.push('-i', url);
+  }
+
+  args.push('-map', '0:v:0', '-map', '1:a:0', '-c', 'copy', ...STREAM_MUXERS[container], 'pipe:1');
+  return spawnProcess('ffmpeg', args, { operation: 'stream', stallTimeout: config.PROCESS_STALL_TIMEOUT, signal });
+}
+
+/**
+ * 是否为支持写入标签的音频文件
+ */
+function isTaggableAudio(filepath) {
+  return TAGGABLE_AUDIO.includes(path.extname(filepath).toLowerCase());
+}
+
+/**
+ * 为 MP3/M4A 写入标签和封面，结果覆盖原文件（音频不重新编码）
+ * @param {string} filepath - 音频文件
+ * @param {object} tags - { title, artist, album, track, year }，空值不写入
+ * @param {string} [coverPath] - 封面图片，裁剪为正方形后嵌入
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 取消信号
+ */
+async function writeAudioTags(filepath, { title, artist, album, track, year }, coverPath = null, { signal } = {}) {
+  const ext = path.extname(filepath);
+  const outputPath = filepath.slice(0, -ext.length) + `-tagged${ext}`;
+  const args = ['-i', filepath];
+
+  if (coverPath) args.push('-i', coverPath);
+  args.push('-map', '0:a', '-c:a', 'copy');
+
+  if (coverPath) {
+    args.push(
+      '-map', '1:v',
+      '-c:v', 'mjpeg',
+      '-vf', SQUARE_CROP,
+      '-disposition:v', 'attached_pic',
+      '-metadata:s:v', 'comment=Cover (front)'
+    );
+  }
+
+  args.push(...metadataArgs({ title, artist, album, track, date: year }));
+
+  // ID3v2.3 的兼容性比默认的 v2.4 更好（如 Windows 资源管理器）
+  if (ext.toLowerCase() === '.mp3') args.push('-id3v2_version', '3');
+
+  args.push('-y', outputPath);
+
+  await runFfmpeg(args, { signal });
+  fs.renameSync(outputPath, filepath);
+}
+
+module.exports = {
+  probeStreams,
+  cutSegment,
+  convertToMp4,
+  canStreamMerge,
+  spawnMergeStream,
+  normalizeLoudness,
+  encodeAudio,
+  isTaggableAudio,
+  writeAudioTags,
+};
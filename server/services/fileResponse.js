@@ -0,0 +1,127 @@
+/**
+ * 文件响应
+ * 发送本地文件，支持断点续传和浏览器内拖动播放：Range（206/416）、If-Range、ETag/Last-Modified 条件请求
+ */
+
+const fs = require('fs');
+
+/**
+ * 生成 ETag（强校验，If-Range 只接受强 ETag）：文件大小 + 修改时间
+ */
+function fileEtag(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * 解析 Range 请求头（只支持单个范围，多个范围或无法解析时按无 Range 处理）
+ * @returns {{start: number, end: number}|null|false} - 按无 Range 处理时返回 null，范围无法满足时返回 false
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null;
+
+  const [, startText, endText] = match;
+  let start;
+  let end;
+
+  if (startText === '') {
+    // bytes=-N：最后 N 个字节
+    if (endText === '') return null;
+    start = Math.max(0, size - parseInt(endText, 10));
+    end = size - 1;
+  } else {
+    start = parseInt(startText, 10);
+    end = endText === '' ? size - 1 : Math.min(parseInt(endText, 10), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * If-Range 是否与当前文件一致（不一致时忽略 Range，发送完整文件）
+ */
+function isRangeFresh(ifRange, etag, lastModified) {
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+  return Date.parse(ifRange) === Date.parse(lastModified);
+}
+
+/**
+ * 是否可以返回 304（If-None-Match 优先于 If-Modified-Since）
+ */
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  return Boolean(ifModifiedSince) && Date.parse(lastModified) <= Date.parse(ifModifiedSince);
+}
+
+/**
+ * 发送文件
+ * 调用方负责设置 Content-Disposition 等其他响应头，以及在连接结束后清理临时文件
+ * @param {object} req - 请求
+ * @param {object} res - 响应
+ * @param {string} filepath - 文件路径
+ * @param {object} [options]
+ * @param {string} [options.contentType] - 默认 application/octet-stream
+ * @param {string} [options.etag] - 自定义 ETag，用于每次请求都重新生成的临时文件（内容相同时保持不变，才能续传）
+ * @returns {fs.ReadStream|null} - 发送文件内容时返回读取流，304/416/HEAD 时返回 null
+ */
+function sendFile(req, res, filepath, { contentType = 'application/octet-stream', etag = null } = {}) {
+  const stat = fs.statSync(filepath);
+  const lastModified = stat.mtime.toUTCString();
+  const tag = etag || fileEtag(stat);
+  const conditional = req.method === 'GET' || req.method === 'HEAD';
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', tag);
+  res.setHeader('Last-Modified', lastModified);
+
+  if (conditional && isNotModified(req, tag, lastModified)) {
+    res.removeHeader('Content-Type');
+    res.status(304).end();
+    return null;
+  }
+
+  let range = null;
+  if (conditional && req.headers.range && isRangeFresh(req.headers['if-range'], tag, lastModified)) {
+    range = parseRange(req.headers.range, stat.size);
+  }
+
+  if (range === false) {
+    res.setHeader('Content-Range', `bytes */${stat.size}`);
+    res.status(416).end();
+    return null;
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', stat.size);
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return null;
+  }
+
+  const readStream = fs.createReadStream(filepath, range || {});
+  // 文件可能在打开前被删除（如媒体库删除、任务清理），读取失败时中断响应
+  readStream.on('error', (err) => {
+    console.error('Failed to read file:', err.message);
+    res.destroy(err);
+  });
+  readStream.pipe(res);
+  return readStream;
+}
+
+module.exports = {
+  sendFile,
+};
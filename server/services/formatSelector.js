@@ -0,0 +1,282 @@
+/**
+ * 下载格式选择
+ * 格式可以是 yt-dlp 格式字符串（如 bestvideo[height<=720]+bestaudio/best、bestaudio--mp3-320），
+ * 也可以是结构化的格式请求（所有字段都可选）：
+ *   {
+ *     type: 'video' | 'audio',              默认 video
+ *     maxHeight: 1080,                      最大分辨率高度（144-4320）
+ *     maxFps: 30,                           最大帧率（1-240）
+ *     container: 'mp4' | 'webm' | 'mkv',    输出容器（仅视频），同时优先选择该容器的音视频流
+ *     videoCodec: 'h264' | 'vp9' | 'av1',   优先的视频编码（仅视频）
+ *     hdr: 'prefer' | 'avoid',              HDR 偏好（仅视频）
+ *     audio: 'mp3-320',                     音频预设 ID（仅音频，见 audioPresets），不指定时保留原始音频
+ *     maxFilesize: 500,                     最大文件大小（MB），超出时下载失败
+ *   }
+ * 两种形式都由 compileFormat 校验并编译为 yt-dlp 参数，无效时抛出 BAD_REQUEST 错误
+ * 视频格式可附加 compatible 选项：优先选择 H.264 + AAC 的流并合并为 MP4（见 ytdlp.downloadFile）
+ */
+
+const { ERROR_CODES, YtdlpError } = require('./errors');
+const audioPresets = require('./audioPresets');
+
+// 格式字符串允许的字符（yt-dlp 格式选择语法）
+const SELECTOR_PATTERN = /^[\w+\-/[\]()<>=!?*^$~.,:']+$/;
+const MAX_SELECTOR_LENGTH = 300;
+
+// 结构化格式请求的字段（按此顺序生成规范形式）
+const REQUEST_FIELDS = ['type', 'maxHeight', 'maxFps', 'container', 'videoCodec', 'hdr', 'audio', 'maxFilesize'];
+const VIDEO_ONLY_FIELDS = ['maxHeight', 'maxFps', 'container', 'videoCodec', 'hdr'];
+
+// 容器 -> 优先选择的视频、音频扩展名（-S ext）
+const CONTAINERS = {
+  mp4: 'mp4:m4a',
+  webm: 'webm:webm',
+  mkv: null,
+};
+
+// 视频编码 -> yt-dlp 中的 vcodec 名称
+const VIDEO_CODECS = {
+  h264: 'h264',
+  vp9: 'vp9',
+  av1: 'av01',
+};
+
+const HDR_SORT = {
+  prefer: 'hdr',
+  avoid: 'hdr:sdr',
+};
+
+// 兼容 MP4：优先 H.264 (avc1) 视频和 AAC (m4a) 音频，其次才是分辨率
+// （分辨率上限由选择器限制），只有没有 H.264 流时才需要转码
+const COMPATIBLE_SORT = ['vcodec:h264', 'acodec:aac', 'res', 'ext:mp4:m4a'];
+
+function invalid(message) {
+  return new YtdlpError(ERROR_CODES.BAD_REQUEST, `Invalid format: ${message}`, { status: 400 });
+}
+
+/**
+ * 检查格式字符串：字符集、长度、不能以 - 开头（避免被当作命令行选项），括号必须配对
+ */
+function checkSelector(selector) {
+  if (!selector || selector.length > MAX_SELECTOR_LENGTH || !SELECTOR_PATTERN.test(selector) || selector.startsWith('-')) {
+    throw invalid(`malformed selector "${selector.slice(0, 50)}"`);
+  }
+
+  const stack = [];
+  for (const char of selector) {
+    if (char === '[' || char === '(') {
+      stack.push(char);
+    } else if (char === ']' || char === ')') {
+      if (stack.pop() !== (char === ']' ? '[' : '(')) throw invalid('unbalanced brackets');
+    }
+  }
+  if (stack.length > 0) throw invalid('unbalanced brackets');
+}
+
+function checkInteger(request, field, min, max) {
+  const value = request[field];
+  if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+    throw invalid(`${field} must be an integer between ${min} and ${max}`);
+  }
+}
+
+function checkEnum(request, field, values) {
+  const value = request[field];
+  if (value !== undefined && !values.includes(value)) {
+    throw invalid(`${field} must be one of ${values.join(', ')}`);
+  }
+}
+
+/**
+ * 校验结构化格式请求，返回只包含已设置字段的规范形式
+ */
+function normalizeRequest(request) {
+  const unknown = Object.keys(request).filter(key => !REQUEST_FIELDS.includes(key));
+  if (unknown.length > 0) throw invalid(`unknown field ${unknown[0]}`);
+
+  checkEnum(request, 'type', ['video', 'audio']);
+  checkInteger(request, 'maxHeight', 144, 4320);
+  checkInteger(request, 'maxFps', 1, 240);
+  checkEnum(request, 'container', Object.keys(CONTAINERS));
+  checkEnum(request, 'videoCodec', Object.keys(VIDEO_CODECS));
+  checkEnum(request, 'hdr', Object.keys(HDR_SORT));
+  checkInteger(request, 'maxFilesize', 1, 100000);
+
+  const type = request.type || 'video';
+
+  if (type === 'audio') {
+    const field = VIDEO_ONLY_FIELDS.find(key => request[key] !== undefined);
+    if (field) throw invalid(`${field} is not supported for audio`);
+  } else if (request.audio !== undefined) {
+    throw invalid('audio is only supported for type audio');
+  }
+
+  if (request.audio !== undefined && !audioPresets.getAudioPreset(request.audio)) {
+    throw invalid(`unknown audio preset ${request.audio}`);
+  }
+
+  const normalized = {};
+  for (const field of REQUEST_FIELDS) {
+    if (request[field] !== undefined) normalized[field] = request[field];
+  }
+  normalized.type = type;
+  return normalized;
+}
+
+/**
+ * 规范化格式参数
+ * @param {string|object} format - 格式字符串、结构化格式请求，或其 JSON 字符串（用于查询参数）
+ * @returns {string|object} - 格式字符串原样返回，结构化请求返回规范形式
+ */
+function normalizeFormat(format) {
+  if (typeof format === 'string' && format.trim().startsWith('{')) {
+    try {
+      format = JSON.parse(format);
+    } catch (error) {
+      throw invalid('malformed JSON');
+    }
+  }
+
+  if (typeof format === 'string') {
+    compileFormat(format);
+    return format;
+  }
+  if (format && typeof format === 'object' && !Array.isArray(format)) {
+    return normalizeRequest(format);
+  }
+  throw invalid('expected a string or an object');
+}
+
+/**
+ * 格式的字符串形式，用作下载记录等的键
+ * 改变输出结果的下载选项附加在后面（# 不会出现在格式字符串中），如 best#compatible、bestaudio--mp3-320#loudnorm
+ * @param {string|object} format - 格式字符串或结构化格式请求
+ * @param {object} [options]
+ * @param {boolean} [options.compatible] - 兼容 MP4
+ * @param {boolean} [options.loudnorm] - 响度标准化
+ */
+function formatKey(format, { compatible = false, loudnorm = false } = {}) {
+  const key = typeof format === 'string' ? format : JSON.stringify(normalizeRequest(format));
+  return key + (compatible ? '#compatible' : '') + (loudnorm ? '#loudnorm' : '');
+}
+
+/**
+ * 编译结构化格式请求
+ */
+function compileRequest(request) {
+  const normalized = normalizeRequest(request);
+  const sortFields = [];
+  const outputArgs = [];
+  let selector;
+
+  if (normalized.type === 'audio') {
+    selector = 'ba/b';
+  } else {
+    const filters = [
+      normalized.maxHeight ? `[height<=${normalized.maxHeight}]` : '',
+      normalized.maxFps ? `[fps<=${normalized.maxFps}]` : '',
+    ].join('');
+    selector = `bv*${filters}+ba/b${filters}`;
+
+    // 分辨率优先，其次才是编码、HDR 和容器偏好
+    sortFields.push('res');
+    if (normalized.hdr) sortFields.push(HDR_SORT[normalized.hdr]);
+    if (normalized.videoCodec) sortFields.push(`vcodec:${VIDEO_CODECS[normalized.videoCodec]}`);
+    if (CONTAINERS[normalized.container]) sortFields.push(`ext:${CONTAINERS[normalized.container]}`);
+
+    // 所选流无法放入目标容器时退回 mkv
+    if (normalized.container) {
+      outputArgs.push('--merge-output-format', normalized.container === 'mkv' ? 'mkv' : `${normalized.container}/mkv`);
+    }
+  }
+
+  if (normalized.maxFilesize) {
+    sortFields.push(`size:${normalized.maxFilesize}M`);
+    outputArgs.push('--max-filesize', `${normalized.maxFilesize}M`);
+  }
+
+  return {
+    selector,
+    sortFields,
+    outputArgs,
+    audioPreset: normalized.audio ? audioPresets.getAudioPreset(normalized.audio) : null,
+    maxFilesize: normalized.maxFilesize || null,
+  };
+}
+
+/**
+ * 编译格式字符串
+ */
+function compileSelector(format) {
+  const conversion = audioPresets.parseAudioFormat(format);
+  if (conversion && !conversion.preset) throw invalid(`unknown audio preset ${conversion.presetId}`);
+
+  const selector = conversion ? conversion.source : format;
+  checkSelector(selector);
+
+  return {
+    selector,
+    sortFields: [],
+    outputArgs: [],
+    audioPreset: conversion ? conversion.preset : null,
+    maxFilesize: null,
+  };
+}
+
+/**
+ * 附加兼容 MP4 选项：替换编码、容器偏好，合并为 MP4
+ */
+function applyCompatible(compiled, format) {
+  const request = typeof format === 'object' ? format : {};
+
+  if (compiled.audioPreset || request.type === 'audio') {
+    throw invalid('compatible MP4 requires a video format');
+  }
+  if ((request.container && request.container !== 'mp4') || (request.videoCodec && request.videoCodec !== 'h264')) {
+    throw invalid('compatible MP4 conflicts with the requested container or videoCodec');
+  }
+
+  const otherFields = compiled.sortFields
+    .filter(field => field !== 'res' && !field.startsWith('vcodec:') && !field.startsWith('ext:'));
+  const otherArgs = [];
+  for (let i = 0; i < compiled.outputArgs.length; i += 2) {
+    if (compiled.outputArgs[i] !== '--merge-output-format') otherArgs.push(compiled.outputArgs[i], compiled.outputArgs[i + 1]);
+  }
+
+  return {
+    ...compiled,
+    sortFields: [...COMPATIBLE_SORT, ...otherFields],
+    outputArgs: ['--merge-output-format', 'mp4', ...otherArgs],
+  };
+}
+
+/**
+ * 编译格式为 yt-dlp 参数
+ * @param {string|object} format - 格式字符串（支持 bestaudio--<预设 ID> 形式的音频转换）或结构化格式请求
+ * @param {object} [options]
+ * @param {boolean} [options.compatible] - 兼容 MP4（仅视频格式），与其他容器或编码冲突时报错
+ * @returns {{ selector: string, sortArgs: string[], outputArgs: string[], audioPreset: object|null, maxFilesize: number|null }}
+ *          selector 用于 -f；sortArgs 为 -S 参数；outputArgs 为下载时附加的参数；
+ *          audioPreset 为音频转换预设（见 audioPresets）；maxFilesize 单位为 MB
+ */
+function compileFormat(format, { compatible = false } = {}) {
+  let compiled;
+  if (format && typeof format === 'object' && !Array.isArray(format)) {
+    compiled = compileRequest(format);
+  } else if (typeof format === 'string') {
+    compiled = compileSelector(format);
+  } else {
+    throw invalid('expected a string or an object');
+  }
+
+  if (compatible) compiled = applyCompatible(compiled, format);
+
+  const { sortFields, ...result } = compiled;
+  return { ...result, sortArgs: sortFields.length > 0 ? ['-S', sortFields.join(',')] : [] };
+}
+
+module.exports = {
+  normalizeFormat,
+  compileFormat,
+  formatKey,
+};
@@ -0,0 +1,196 @@
+/**
+ * 媒体库
+ * 开启媒体库模式后，下载完成的文件保存到输出目录并记录下载历史，支持检索和重新下载
+ */
+
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+const ytdlp = require('./ytdlp');
+const { createStore } = require('./store');
+
+const libraryDir = path.resolve(__dirname, '../../', config.LIBRARY_DIR);
+const libraryStore = createStore('library.json');
+
+// id -> 条目
+const entries = new Map();
+
+// 可排序字段
+const SORT_FIELDS = ['createdAt', 'title', 'size', 'uploader'];
+
+/**
+ * 是否开启媒体库模式
+ */
+function isEnabled() {
+  return config.LIBRARY_ENABLED;
+}
+
+/**
+ * 保存媒体库记录
+ */
+function persist() {
+  libraryStore.save({ entries: [...entries.values()] });
+}
+
+/**
+ * 从本地存储加载记录，丢弃文件已不存在的条目
+ */
+function loadLibrary() {
+  const data = libraryStore.load();
+  entries.clear();
+
+  for (const entry of data?.entries || []) {
+    if (fs.existsSync(entry.filepath)) {
+      entries.set(entry.id, entry);
+    }
+  }
+
+  if (data && entries.size !== data.entries.length) persist();
+  return entries.size;
+}
+
+/**
+ * 移动文件，跨设备（临时目录和输出目录不在同一分区）时改为复制后删除
+ */
+function moveFile(source, target) {
+  try {
+    fs.renameSync(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(source, target);
+    fs.unlinkSync(source);
+  }
+}
+
+/**
+ * 在输出目录中生成不重名的文件路径：标题.mp3、标题 (2).mp3
+ */
+function getUniquePath(filename) {
+  const ext = path.extname(filename);
+  const base = path.basename(filename, ext).replace(/[<>:"/\\|?*]/g, '_').trim() || 'download';
+
+  let target = path.join(libraryDir, `${base}${ext}`);
+  for (let n = 2; fs.existsSync(target); n++) {
+    target = path.join(libraryDir, `${base} (${n})${ext}`);
+  }
+  return target;
+}
+
+/**
+ * 将下载完成的文件加入媒体库
+ * @param {object} file - downloadFile() 的结果 { filename, filepath }
+ * @param {object} source - 来源 { url, format }
+ * @returns {Promise<object>} - 媒体库条目
+ */
+async function addToLibrary({ filename, filepath }, { url, format }) {
+  // 元信息获取失败不影响保存文件
+  let info = null;
+  try {
+    info = await ytdlp.getVideoInfo(url);
+  } catch (error) {
+    console.warn('[Library] Failed to fetch metadata:', error.message);
+  }
+
+  fs.mkdirSync(libraryDir, { recursive: true });
+  const target = getUniquePath(filename);
+  moveFile(filepath, target);
+
+  const ext = path.extname(target);
+  const entry = {
+    id: ytdlp.createTempId(),
+    videoId: info?.id || null,
+    title: info?.title || path.basename(filename, ext),
+    uploader: info?.uploader || null,
+    thumbnail: info?.thumbnail || null,
+    duration: info?.duration || null,
+    url: info?.webpage_url || url,
+    format,
+    ext: ext.replace('.', ''),
+    size: fs.statSync(target).size,
+    filename: path.basename(target),
+    filepath: target,
+    createdAt: Date.now(),
+  };
+
+  entries.set(entry.id, entry);
+  persist();
+  console.log(`[Library] Added: ${entry.filename}`);
+
+  return entry;
+}
+
+/**
+ * 对外返回的条目（不暴露本地路径）
+ */
+function toPublicEntry({ filepath, ...entry }) {
+  return entry;
+}
+
+/**
+ * 检索媒体库
+ * @param {object} [options]
+ * @param {string} [options.q] - 关键词，匹配标题、上传者、视频 ID
+ * @param {string} [options.sort] - 排序字段：createdAt、title、size、uploader
+ * @param {string} [options.order] - asc 或 desc
+ * @param {number} [options.page] - 页码（从 1 开始）
+ * @param {number} [options.pageSize] - 每页条数（最多 100）
+ */
+function listLibrary({ q = '', sort = 'createdAt', order = 'desc', page = 1, pageSize = 20 } = {}) {
+  const keyword = String(q).trim().toLowerCase();
+  const field = SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+  const direction = order === 'asc' ? 1 : -1;
+  const size = Math.max(1, Math.min(parseInt(pageSize) || 20, 100));
+  const current = Math.max(1, parseInt(page) || 1);
+
+  const matched = [...entries.values()]
+    .filter(entry => !keyword || [entry.title, entry.uploader, entry.videoId]
+      .some(value => value && value.toLowerCase().includes(keyword)))
+    .sort((a, b) => {
+      const x = a[field] ?? '';
+      const y = b[field] ?? '';
+      if (typeof x === 'string' || typeof y === 'string') {
+        return String(x).localeCompare(String(y)) * direction;
+      }
+      return (x - y) * direction;
+    });
+
+  return {
+    items: matched.slice((current - 1) * size, current * size).map(toPublicEntry),
+    total: matched.length,
+    page: current,
+    pageSize: size,
+    totalPages: Math.ceil(matched.length / size),
+  };
+}
+
+/**
+ * 获取条目（包含本地路径）
+ */
+function getEntry(id) {
+  return entries.get(id) || null;
+}
+
+/**
+ * 删除条目及其文件
+ * @returns {boolean} - 条目是否存在
+ */
+function removeEntry(id) {
+  const entry = entries.get(id);
+  if (!entry) return false;
+
+  fs.unlink(entry.filepath, (err) => {
+    if (err && err.code !== 'ENOENT') console.error('[Library] Failed to delete file:', err.message);
+  });
+  entries.delete(id);
+  persist();
+  return true;
+}
+
+module.exports = {
+  isEnabled,
+  loadLibrary,
+  addToLibrary,
+  listLibrary,
+  getEntry,
+  removeEntry,
+};
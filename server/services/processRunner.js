@@ -0,0 +1,168 @@
+/**
+ * 子进程管理
+ * 所有 yt-dlp / ffmpeg 进程都从这里启动：按操作设置超时、通过 AbortSignal 取消（如客户端断开连接）、
+ * 终止长时间没有输出的卡住进程、限制 stderr 缓存大小，并统计运行中的进程
+ */
+
+const { spawn } = require('child_process');
+const config = require('../config');
+const { ERROR_CODES, YtdlpError, classifyError } = require('./errors');
+
+// stderr 只保留最后这么多字符（错误信息在末尾）
+const MAX_STDERR_LENGTH = 64 * 1024;
+
+// 发送 SIGTERM 后仍未退出时，等待多久强制结束（毫秒）
+const KILL_GRACE_PERIOD = 5000;
+
+// 运行中的进程 -> { command, operation, startedAt }
+const liveProcesses = new Map();
+
+/**
+ * 启动子进程（参数数组，不经过 shell）
+ * 因超时、卡住或取消而被终止时，child.terminationError 为对应的错误，此时退出码没有意义
+ * @param {string} command - yt-dlp、ffmpeg 或 ffprobe
+ * @param {string[]} args - 命令行参数
+ * @param {object} [options]
+ * @param {string} [options.operation] - 操作名，决定默认超时（见 config.PROCESS_TIMEOUTS），也用于统计
+ * @param {number} [options.timeout] - 总超时（毫秒），覆盖默认值，0 表示不限制
+ * @param {number} [options.stallTimeout] - 多久没有输出视为卡住（毫秒），默认不检测（只在结束时才输出的操作不能使用）
+ *        消费方暂停读取 stdout 期间（如管道背压、客户端暂停接收）不检测
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {ChildProcess} - 另有 child.getStderr() 返回 stderr 的最后部分；
+ *          child.setStallDetection(enabled) 暂停或恢复卡住检测（如 yt-dlp 后期处理期间没有输出）
+ */
+function spawnProcess(command, args, { operation = command, timeout, stallTimeout = 0, signal } = {}) {
+  const limit = timeout !== undefined ? timeout : (config.PROCESS_TIMEOUTS[operation] || 0);
+  const child = spawn(command, args);
+  let stderr = '';
+  let stallTimer = null;
+  let stallEnabled = stallTimeout > 0;
+  let stdoutPaused = false;
+  let killTimer = null;
+
+  child.terminationError = null;
+  child.getStderr = () => stderr;
+  child.setStallDetection = (enabled) => {
+    const next = enabled && stallTimeout > 0;
+    if (next === stallEnabled) return;
+    stallEnabled = next;
+    resetStallTimer();
+  };
+
+  const terminate = (error) => {
+    if (child.terminationError || child.exitCode !== null || child.signalCode !== null) return;
+    child.terminationError = error;
+    child.kill('SIGTERM');
+    killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_PERIOD);
+  };
+
+  const timeoutTimer = limit > 0 ? setTimeout(() => {
+    terminate(new YtdlpError(ERROR_CODES.PROCESS_TIMEOUT, `${command} timed out after ${Math.ceil(limit / 1000)}s`, { status: 504 }));
+  }, limit) : null;
+
+  // 卡住通常是网络问题，可以重试
+  const resetStallTimer = () => {
+    clearTimeout(stallTimer);
+    if (!stallEnabled || stdoutPaused) return;
+    stallTimer = setTimeout(() => {
+      terminate(new YtdlpError(ERROR_CODES.PROCESS_STALLED, `${command} produced no output for ${Math.ceil(stallTimeout / 1000)}s`, {
+        status: 504,
+        retryable: true,
+      }));
+    }, stallTimeout);
+  };
+
+  const onAbort = () => terminate(new YtdlpError(ERROR_CODES.CANCELLED, 'Cancelled', { status: 499 }));
+
+  const cleanup = () => {
+    clearTimeout(timeoutTimer);
+    clearTimeout(stallTimer);
+    clearTimeout(killTimer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+    liveProcesses.delete(child);
+  };
+
+  liveProcesses.set(child, { command, operation, startedAt: Date.now() });
+  child.on('close', cleanup);
+  child.on('error', cleanup);
+
+  child.stdout.on('data', resetStallTimer);
+  // 暂停读取时进程写满管道后会阻塞，没有输出不代表卡住
+  child.stdout.on('pause', () => {
+    stdoutPaused = true;
+    resetStallTimer();
+  });
+  child.stdout.on('resume', () => {
+    stdoutPaused = false;
+    resetStallTimer();
+  });
+  child.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-MAX_STDERR_LENGTH);
+    resetStallTimer();
+  });
+  resetStallTimer();
+
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return child;
+}
+
+/**
+ * 运行子进程直到结束
+ * 失败时返回已分类的错误（见 errors.js）
+ * @param {string} command - yt-dlp、ffmpeg 或 ffprobe
+ * @param {string[]} args - 命令行参数
+ * @param {object} [options] - 同 spawnProcess
+ * @returns {Promise<string>} - stdout
+ */
+function runProcess(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawnProcess(command, args, options);
+    let stdout = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.on('close', (code) => {
+      if (child.terminationError) return reject(child.terminationError);
+      if (code !== 0) return reject(classifyError(child.getStderr() || `${command} exited with code ${code}`));
+      resolve(stdout);
+    });
+
+    child.on('error', (err) => {
+      reject(classifyError(`Failed to start ${command}: ${err.message}`));
+    });
+  });
+}
+
+/**
+ * 终止所有运行中的进程（服务退出时调用）
+ */
+function terminateAll() {
+  for (const child of liveProcesses.keys()) {
+    child.kill('SIGTERM');
+  }
+}
+
+/**
+ * 运行中的进程统计（用于健康检查）
+ * @returns {{ running: number, byOperation: object }}
+ */
+function getProcessStats() {
+  const byOperation = {};
+  for (const { operation } of liveProcesses.values()) {
+    byOperation[operation] = (byOperation[operation] || 0) + 1;
+  }
+  return { running: liveProcesses.size, byOperation };
+}
+
+module.exports = {
+  spawnProcess,
+  runProcess,
+  terminateAll,
+  getProcessStats,
+};
@@ -0,0 +1,167 @@
+/**
+ * 下载进度解析与分发
+ * 解析 yt-dlp --progress-template 输出为结构化进度，并按频道推送给订阅者（SSE）
+ */
+
+const { EventEmitter } = require('events');
+
+// 进度行前缀，用于和 yt-dlp 的普通日志区分
+const DOWNLOAD_PREFIX = '[y2b:download]';
+const POSTPROCESS_PREFIX = '[y2b:postprocess]';
+
+/**
+ * yt-dlp 进度输出参数
+ * 每次进度更新输出一行：状态|已下载字节|总字节|预估总字节|速度|剩余秒数|格式 ID
+ */
+const PROGRESS_ARGS = [
+  '--newline',
+  '--progress-template',
+  `download:${DOWNLOAD_PREFIX}%(progress.status)s|%(progress.downloaded_bytes)s|%(progress.total_bytes)s|%(progress.total_bytes_estimate)s|%(progress.speed)s|%(progress.eta)s|%(info.format_id)s`,
+  '--progress-template',
+  `postprocess:${POSTPROCESS_PREFIX}%(progress.status)s|%(progress.postprocessor)s`,
+];
+
+// 后处理器名称 -> 阶段
+const POSTPROCESSOR_PHASES = {
+  Merger: 'merging',
+  ExtractAudio: 'extracting_audio',
+  VideoConvertor: 'converting',
+  VideoRemuxer: 'remuxing',
+  Metadata: 'embedding',
+  EmbedThumbnail: 'embedding',
+  EmbedSubtitle: 'embedding',
+  MoveFiles: 'finalizing',
+};
+
+/**
+ * 解析数字字段，yt-dlp 对缺失字段输出 NA
+ */
+function toNumber(value) {
+  if (value === undefined || value === 'NA' || value === 'None' || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * 解析单行进度输出
+ * @param {string} line - yt-dlp 输出的一行
+ * @returns {object|null} - 进度对象，非进度行返回 null
+ */
+function parseProgressLine(line) {
+  const text = line.trim();
+
+  if (text.startsWith(DOWNLOAD_PREFIX)) {
+    const [status, downloaded, total, estimate, speed, eta, formatId] = text
+      .slice(DOWNLOAD_PREFIX.length)
+      .split('|');
+    const downloadedBytes = toNumber(downloaded);
+    const totalBytes = toNumber(total) || toNumber(estimate);
+
+    let percent = null;
+    if (status === 'finished') {
+      percent = 100;
+    } else if (downloadedBytes !== null && totalBytes) {
+      percent = Math.min(100, Math.round((downloadedBytes / totalBytes) * 1000) / 10);
+    }
+
+    return {
+      phase: 'downloading',
+      status,
+      percent,
+      downloadedBytes,
+      totalBytes,
+      speed: toNumber(speed),
+      eta: toNumber(eta),
+      formatId: formatId && formatId !== 'NA' ? formatId : null,
+    };
+  }
+
+  if (text.startsWith(POSTPROCESS_PREFIX)) {
+    const [status, postprocessor] = text.slice(POSTPROCESS_PREFIX.length).split('|');
+    return {
+      phase: POSTPROCESSOR_PHASES[postprocessor] || 'postprocessing',
+      status,
+      postprocessor,
+      percent: null,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 创建按行解析的进度解析器
+ * yt-dlp 的输出按块到达，需要自行拆分成行
+ * @param {function} onProgress - 每解析出一条进度时调用
+ * @returns {function} - 接收输出块的函数
+ */
+function createProgressParser(onProgress) {
+  let buffer = '';
+
+  return (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const progress = parseProgressLine(line);
+      if (progress) {
+        onProgress({ ...progress, updatedAt: Date.now() });
+      }
+    }
+  };
+}
+
+// ===== 进度分发 =====
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+// channel -> 最近一次进度
+const snapshots = new Map();
+
+/**
+ * 向频道发布事件
+ * @param {string} channel - 频道名，如 queue:<taskId>、proxy:<progressId>
+ * @param {string} event - 事件类型（progress、item、task、done、error）
+ * @param {object} data - 事件数据
+ */
+function publish(channel, event, data) {
+  if (event === 'progress') {
+    snapshots.set(channel, data);
+  }
+  hub.emit(channel, event, data);
+}
+
+/**
+ * 订阅频道事件
+ * @returns {function} - 取消订阅函数
+ */
+function subscribe(channel, listener) {
+  hub.on(channel, listener);
+  return () => hub.off(channel, listener);
+}
+
+/**
+ * 获取频道最近一次进度
+ */
+function getSnapshot(channel) {
+  return snapshots.get(channel) || null;
+}
+
+/**
+ * 清除频道的进度记录
+ */
+function clearChannel(channel) {
+  snapshots.delete(channel);
+}
+
+module.exports = {
+  PROGRESS_ARGS,
+  parseProgressLine,
+  createProgressParser,
+  publish,
+  subscribe,
+  getSnapshot,
+  clearChannel,
+};
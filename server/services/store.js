@@ -0,0 +1,85 @@
+/**
+ * 本地 JSON 存储
+ * 将服务状态（下载队列、媒体库等）保存为数据目录下的 JSON 文件，服务重启后可恢复
+ */
+
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+const STORE_VERSION = 1;
+const SAVE_DELAY = 200; // 合并短时间内的多次写入
+
+/**
+ * 创建一个 JSON 文件存储
+ * @param {string} filename - 数据目录下的文件名，如 queue.json
+ * @returns {{ load: function, save: function, flush: function }}
+ */
+function createStore(filename) {
+  const storePath = path.resolve(__dirname, '../../', config.DATA_DIR, filename);
+
+  let pendingData = null;
+  let saveTimer = null;
+
+  /**
+   * 读取已保存的数据
+   * @returns {object|null} - 文件不存在或损坏时返回 null
+   */
+  function load() {
+    try {
+      if (!fs.existsSync(storePath)) return null;
+
+      const data = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+      if (data.version !== STORE_VERSION) {
+        console.warn(`[Store] Ignoring ${filename} with unsupported version ${data.version}`);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      console.error(`[Store] Failed to load ${filename}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 立即写入磁盘
+   * 先写临时文件再重命名，避免写入中途崩溃导致文件损坏
+   */
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    if (!pendingData) return;
+
+    const data = pendingData;
+    pendingData = null;
+
+    try {
+      fs.mkdirSync(path.dirname(storePath), { recursive: true });
+      const tempPath = `${storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: STORE_VERSION, ...data }, null, 2));
+      fs.renameSync(tempPath, storePath);
+    } catch (error) {
+      console.error(`[Store] Failed to save ${filename}:`, error.message);
+    }
+  }
+
+  /**
+   * 保存数据（延迟合并写入）
+   */
+  function save(data) {
+    pendingData = data;
+    if (!saveTimer) {
+      saveTimer = setTimeout(flush, SAVE_DELAY);
+    }
+  }
+
+  // 进程退出前写入尚未落盘的数据
+  process.on('exit', flush);
+
+  return { load, save, flush };
+}
+
+module.exports = {
+  createStore,
+};
@@ -0,0 +1,231 @@
+/**
+ * 频道 / 播放列表订阅
+ * 定期拉取订阅的播放列表，与已见过的视频对比，将新视频加入下载队列
+ */
+
+const config = require('../config');
+const ytdlp = require('./ytdlp');
+const downloadQueue = require('./downloadQueue');
+const { classifyError } = require('./errors');
+const { createStore } = require('./store');
+
+const subscriptionStore = createStore('subscriptions.json');
+
+// id -> 订阅
+const subscriptions = new Map();
+
+// 正在同步的订阅 ID，避免定时器和手动同步同时运行
+const syncing = new Set();
+
+let checkTimer = null;
+
+/**
+ * 保存订阅
+ */
+function persist() {
+  subscriptionStore.save({ subscriptions: [...subscriptions.values()] });
+}
+
+/**
+ * 同步间隔限制在最小值与 30 天之间（分钟）
+ */
+function normalizeInterval(value) {
+  const minutes = parseInt(value) || config.SUBSCRIPTION_DEFAULT_INTERVAL;
+  return Math.max(config.SUBSCRIPTION_MIN_INTERVAL, Math.min(minutes, 30 * 24 * 60));
+}
+
+/**
+ * 对外返回的订阅（已见视频列表可能很长，只返回数量）
+ */
+function toPublicSubscription({ seenIds, ...subscription }) {
+  return {
+    ...subscription,
+    seenCount: seenIds.length,
+    syncing: syncing.has(subscription.id),
+  };
+}
+
+/**
+ * 列出所有订阅，按创建时间排序
+ */
+function listSubscriptions() {
+  return [...subscriptions.values()]
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(toPublicSubscription);
+}
+
+/**
+ * 获取订阅
+ */
+function getSubscription(id) {
+  const subscription = subscriptions.get(id);
+  return subscription ? toPublicSubscription(subscription) : null;
+}
+
+/**
+ * 创建订阅并立即进行首次同步
+ * @param {object} options
+ * @param {string} options.url - 频道或播放列表 URL
+ * @param {string|object} [options.format] - 下载格式，如 bestaudio--mp3，或结构化格式请求（见 formatSelector）
+ * @param {number} [options.intervalMinutes] - 同步间隔（分钟）
+ * @param {string} [options.title] - 名称，默认使用播放列表标题
+ * @param {boolean} [options.includeExisting] - 首次同步时是否下载已有视频（默认只下载之后的新视频）
+ */
+function createSubscription({ url, format = 'bestaudio--mp3', intervalMinutes, title = null, includeExisting = false }) {
+  const id = ytdlp.createTempId();
+
+  subscriptions.set(id, {
+    id,
+    url,
+    format,
+    title,
+    intervalMinutes: normalizeInterval(intervalMinutes),
+    enabled: true,
+    includeExisting: Boolean(includeExisting),
+    seenIds: [],
+    synced: false, // 是否成功同步过（首次同步之后发现的视频都是新视频，即使播放列表原本为空）
+    createdAt: Date.now(),
+    nextRunAt: Date.now(),
+    lastRun: null, // { startedAt, finishedAt, status, newCount, taskId, error, errorCode }
+  });
+  persist();
+
+  syncSubscription(id);
+  return getSubscription(id);
+}
+
+/**
+ * 修改订阅
+ * @param {object} changes - 可修改 format、intervalMinutes、title、enabled
+ * @returns {object|null} - 订阅不存在时返回 null
+ */
+function updateSubscription(id, changes) {
+  const subscription = subscriptions.get(id);
+  if (!subscription) return null;
+
+  if (changes.format !== undefined) subscription.format = changes.format;
+  if (changes.title !== undefined) subscription.title = changes.title;
+  if (changes.intervalMinutes !== undefined) {
+    subscription.intervalMinutes = normalizeInterval(changes.intervalMinutes);
+    subscription.nextRunAt = (subscription.lastRun?.startedAt || Date.now()) + subscription.intervalMinutes * 60 * 1000;
+  }
+  if (changes.enabled !== undefined) subscription.enabled = Boolean(changes.enabled);
+
+  persist();
+  return getSubscription(id);
+}
+
+/**
+ * 删除订阅（已加入队列的任务不受影响）
+ * @returns {boolean} - 订阅是否存在
+ */
+function removeSubscription(id) {
+  if (!subscriptions.delete(id)) return false;
+  persist();
+  return true;
+}
+
+/**
+ * 同步订阅：拉取播放列表，将未见过的视频加入下载队列
+ * 首次同步且未设置 includeExisting 时只记录已有视频，不下载
+ * @returns {Promise<boolean>} - 是否执行了同步（已在同步中则返回 false）
+ */
+async function syncSubscription(id) {
+  const subscription = subscriptions.get(id);
+  if (!subscription || syncing.has(id)) return false;
+
+  syncing.add(id);
+  const startedAt = Date.now();
+  const lastRun = { startedAt, finishedAt: null, status: 'running', newCount: 0, taskId: null, error: null, errorCode: null };
+  subscription.lastRun = lastRun;
+
+  try {
+    const playlist = await ytdlp.getPlaylistInfo(subscription.url);
+    const firstRun = !subscription.synced;
+    const seen = new Set(subscription.seenIds);
+    const newVideos = playlist.videos.filter(video => video.id && !seen.has(video.id));
+
+    if (!subscription.title && playlist.title) {
+      subscription.title = playlist.title;
+    }
+
+    if (newVideos.length > 0 && (!firstRun || subscription.includeExisting)) {
+      lastRun.taskId = downloadQueue.createTask(
+        newVideos.map(video => video.url),
+        subscription.format,
+        { title: subscription.title, positions: newVideos.map(video => video.index + 1) }
+      );
+      lastRun.newCount = newVideos.length;
+    }
+
+    subscription.seenIds.push(...newVideos.map(video => video.id));
+    subscription.synced = true;
+    lastRun.status = 'ok';
+    console.log(`[Subscriptions] Synced ${subscription.title || subscription.url}: ${lastRun.newCount} new video(s)`);
+  } catch (err) {
+    const error = classifyError(err);
+    lastRun.status = 'error';
+    lastRun.error = error.message;
+    lastRun.errorCode = error.code;
+    console.error(`[Subscriptions] Failed to sync ${subscription.url} (${error.code}):`, error.details || error.message);
+  } finally {
+    syncing.delete(id);
+  }
+
+  lastRun.finishedAt = Date.now();
+  subscription.nextRunAt = startedAt + subscription.intervalMinutes * 60 * 1000;
+
+  // 同步期间订阅可能已被删除
+  if (subscriptions.has(id)) persist();
+  return true;
+}
+
+/**
+ * 依次同步所有到期的订阅
+ */
+async function runDueSubscriptions() {
+  const due = [...subscriptions.values()]
+    .filter(subscription => subscription.enabled && subscription.nextRunAt <= Date.now());
+
+  for (const subscription of due) {
+    await syncSubscription(subscription.id);
+  }
+}
+
+/**
+ * 加载订阅并启动定时检查（服务启动时调用）
+ * @returns {number} - 订阅数量
+ */
+function startScheduler() {
+  const data = subscriptionStore.load();
+
+  for (const subscription of data?.subscriptions || []) {
+    // 服务停止时中断的同步视为失败
+    if (subscription.lastRun?.status === 'running') {
+      subscription.lastRun.status = 'error';
+      subscription.lastRun.error = 'Interrupted by server restart';
+    }
+    // 旧版本没有 synced 字段：记录过视频或最近一次同步成功即视为已同步过
+    if (subscription.synced === undefined) {
+      subscription.synced = subscription.seenIds.length > 0 || subscription.lastRun?.status === 'ok';
+    }
+    subscriptions.set(subscription.id, subscription);
+  }
+
+  clearInterval(checkTimer);
+  checkTimer = setInterval(runDueSubscriptions, config.SUBSCRIPTION_CHECK_INTERVAL);
+  checkTimer.unref();
+
+  runDueSubscriptions();
+  return subscriptions.size;
+}
+
+module.exports = {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  removeSubscription,
+  syncSubscription,
+  startScheduler,
+};
@@ -3,82 +3,204 @@
  * 通过子进程调用 yt-dlp 命令行工具获取视频信息和下载链接
  */
 
-const { spawn } = require('child_process');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 const config = require('../config');
+const { PROGRESS_ARGS, createProgressParser } = require('./progress');
+const { ERROR_CODES, YtdlpError, classifyError, withRetry } = require('./errors');
+const { spawnProcess, runProcess } = require('./processRunner');
+const { getCookiesArgs } = require('./cookies');
+const {
+  probeStreams,
+  cutSegment,
+  convertToMp4,
+  canStreamMerge,
+  spawnMergeStream,
+  normalizeLoudness,
+  encodeAudio,
+  isTaggableAudio,
+  writeAudioTags,
+} = require('./ffmpeg');
+const audioPresets = require('./audioPresets');
+const { compileFormat } = require('./formatSelector');
+const { parseYouTubeUrl } = require('../../shared/youtubeUrl');
+
+// 下载临时文件名前缀
+const TEMP_PREFIX = 'ytdl-';
+
+// 支持输出的字幕格式
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+
+// 流式合并时 ffmpeg 可直接读取的协议（DASH 分片等需要 yt-dlp 下载到文件）
+const STREAMABLE_PROTOCOLS = ['https', 'http', 'm3u8', 'm3u8_native'];
+
+// 音频实际码率与预设相差超过该比例时重新编码（VBR 编码的平均码率本身有一定偏差）
+const BITRATE_TOLERANCE = 0.25;
 
 /**
- * 获取 cookies 参数
- * @returns {string[]} - cookies 相关的命令行参数
+ * URL 位置参数：只接受 YouTube 链接（见 shared/youtubeUrl.js），放在 -- 之后，不会被当作 yt-dlp 选项解析
+ * 路由已经校验过 URL，这里再检查一次，覆盖订阅、恢复的队列任务等其他来源
+ * @param {string} url - YouTube URL
+ * @returns {string[]} - ['--', url]
  */
-function getCookiesArgs() {
-  if (config.COOKIES_FILE) {
-    // 使用 cookies 文件
-    const cookiesPath = path.resolve(__dirname, '../../', config.COOKIES_FILE);
-    return ['--cookies', cookiesPath];
-  } else if (config.COOKIES_FROM_BROWSER) {
-    // 从浏览器获取 cookies
-    return ['--cookies-from-browser', config.COOKIES_FROM_BROWSER];
+function urlArgs(url) {
+  const link = parseYouTubeUrl(url);
+  if (!link.valid) {
+    throw new YtdlpError(ERROR_CODES.INVALID_URL, `Invalid URL: ${link.error}`, { status: 400 });
   }
-  return [];
+  return ['--', url];
 }
 
 /**
  * 执行 yt-dlp 命令并返回 JSON 结果
+ * 失败时返回已分类的错误（见 errors.js）
  * @param {string[]} args - yt-dlp 命令参数
+ * @param {object} [options] - 进程选项（operation、signal 等，见 processRunner.spawnProcess），默认按 metadata 操作计算超时
  * @returns {Promise<object>} - 解析后的 JSON 对象
  */
-function executeYtdlp(args) {
-  return new Promise((resolve, reject) => {
-    const process = spawn('yt-dlp', args);
-    let stdout = '';
-    let stderr = '';
-
-    process.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+async function executeYtdlp(args, options = {}) {
+  const stdout = await runProcess('yt-dlp', args, { operation: 'metadata', ...options });
+  try {
+    return JSON.parse(stdout);
+  } catch (e) {
+    // 如果不是 JSON，直接返回字符串
+    return stdout.trim();
+  }
+}
 
-    process.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+// ===== 元数据缓存 =====
 
-    process.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || `yt-dlp exited with code ${code}`));
-        return;
-      }
-      try {
-        const result = JSON.parse(stdout);
-        resolve(result);
-      } catch (e) {
-        // 如果不是 JSON，直接返回字符串
-        resolve(stdout.trim());
-      }
-    });
+// 视频 ID -> { data, fetchedAt, expiresAt }
+const metadataCache = new Map();
+// 视频 ID -> 正在进行的请求，相同视频的并发请求只启动一个 yt-dlp
+const pendingMetadata = new Map();
+const cacheStats = { hits: 0, misses: 0, evictions: 0 };
 
-    process.on('error', (err) => {
-      reject(new Error(`Failed to start yt-dlp: ${err.message}. Make sure yt-dlp is installed.`));
-    });
-  });
+/**
+ * 从 URL 中提取视频 ID（见 shared/youtubeUrl.js），无法识别时返回 null
+ */
+function extractVideoId(url) {
+  return parseYouTubeUrl(url).videoId;
 }
 
 /**
- * 获取视频/播放列表信息
+ * 获取视频的完整元数据（yt-dlp --dump-json 结果），在有效期内复用缓存
+ * 无法识别视频 ID 的 URL 不缓存
  * @param {string} url - YouTube URL
- * @returns {Promise<object>} - 视频信息对象
+ * @returns {Promise<object>}
  */
-async function getVideoInfo(url) {
+async function getVideoMetadata(url) {
+  const videoId = extractVideoId(url);
+  const cached = videoId && metadataCache.get(videoId);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    cacheStats.hits++;
+    return cached.data;
+  }
+  if (videoId && pendingMetadata.has(videoId)) {
+    cacheStats.hits++;
+    return pendingMetadata.get(videoId);
+  }
+  cacheStats.misses++;
+
   const args = [
     ...getCookiesArgs(),
     '--dump-json',
     '--no-download',
+    '--no-playlist',
     '--no-warnings',
-    url
+    ...urlArgs(url),
   ];
 
-  const result = await executeYtdlp(args);
+  const request = withRetry(() => executeYtdlp(args));
+  if (!videoId) return request;
 
-  // 格式化返回数据
+  pendingMetadata.set(videoId, request);
+  try {
+    const data = await request;
+    cacheMetadata(videoId, data);
+    return data;
+  } finally {
+    pendingMetadata.delete(videoId);
+  }
+}
+
+/**
+ * 写入缓存，超出数量上限时淘汰最早的条目
+ */
+function cacheMetadata(videoId, data) {
+  metadataCache.delete(videoId);
+  metadataCache.set(videoId, {
+    data,
+    fetchedAt: Date.now(),
+    expiresAt: Date.now() + config.METADATA_CACHE_TTL,
+  });
+
+  while (metadataCache.size > config.METADATA_CACHE_MAX_ENTRIES) {
+    metadataCache.delete(metadataCache.keys().next().value);
+    cacheStats.evictions++;
+  }
+}
+
+/**
+ * 清除缓存
+ * @param {string} [url] - 只清除该视频，不指定时清除全部
+ * @returns {number} - 清除的条目数
+ */
+function purgeMetadataCache(url) {
+  if (!url) {
+    const count = metadataCache.size;
+    metadataCache.clear();
+    return count;
+  }
+
+  const videoId = extractVideoId(url) || url; // 也接受直接传入视频 ID
+  return metadataCache.delete(videoId) ? 1 : 0;
+}
+
+/**
+ * 缓存统计（用于健康检查）
+ */
+function getCacheStats() {
+  const now = Date.now();
+  let expired = 0;
+  for (const entry of metadataCache.values()) {
+    if (entry.expiresAt <= now) expired++;
+  }
+
+  return {
+    entries: metadataCache.size,
+    expired,
+    maxEntries: config.METADATA_CACHE_MAX_ENTRIES,
+    ttl: config.METADATA_CACHE_TTL,
+    ...cacheStats,
+  };
+}
+
+/**
+ * 将元数据写入临时文件，供 yt-dlp --load-info-json 使用，避免重新请求 YouTube
+ * @returns {string} - 临时文件路径（调用方负责删除）
+ */
+function writeInfoJson(data) {
+  const infoPath = path.join(os.tmpdir(), `${TEMP_PREFIX}info-${createTempId()}.json`);
+  fs.writeFileSync(infoPath, JSON.stringify(data));
+  return infoPath;
+}
+
+/**
+ * 获取视频/播放列表信息
+ * @param {string} url - YouTube URL
+ * @returns {Promise<object>} - 视频信息对象
+ */
+async function getVideoInfo(url) {
+  return formatVideoInfo(await getVideoMetadata(url));
+}
+
+/**
+ * 从元数据中提取视频基本信息
+ */
+function formatVideoInfo(result) {
   return {
     id: result.id,
     title: result.title,
@@ -90,70 +212,101 @@ async function getVideoInfo(url) {
     view_count: result.view_count,
     upload_date: result.upload_date,
     webpage_url: result.webpage_url,
+    chapters: formatChapters(result),
   };
 }
 
+/**
+ * 整理章节列表（没有章节时为空数组）
+ */
+function formatChapters(result) {
+  return (result.chapters || []).map(chapter => ({
+    title: chapter.title,
+    start_time: chapter.start_time,
+    end_time: chapter.end_time,
+  }));
+}
+
+/**
+ * 从 thumbnails 列表中选择缩略图
+ * @param {object[]} thumbnails - yt-dlp 的 thumbnails 字段
+ * @param {number} [minWidth] - 优先选择宽度不小于该值的最小图片，不指定时选择最大的
+ * @returns {string|null}
+ */
+function pickThumbnail(thumbnails, minWidth) {
+  const list = (thumbnails || []).filter(t => t.url);
+  if (list.length === 0) return null;
+
+  const sorted = [...list].sort((a, b) => (a.width || 0) - (b.width || 0));
+  if (minWidth) {
+    const fit = sorted.find(t => (t.width || 0) >= minWidth);
+    if (fit) return fit.url;
+  }
+  return sorted[sorted.length - 1].url;
+}
+
 /**
  * 获取播放列表信息
  * @param {string} url - YouTube 播放列表 URL
- * @returns {Promise<object>} - 播放列表信息
+ * @param {object} [options] - 分页参数，不指定 limit 时返回全部视频
+ * @param {number} [options.start] - 起始位置（从 1 开始）
+ * @param {number} [options.limit] - 本页最多返回的视频数
+ * @param {AbortSignal} [options.signal] - 取消信号（如客户端断开连接）
+ * @returns {Promise<object>} - 播放列表信息（标题、作者、缩略图等）及视频列表
  */
-async function getPlaylistInfo(url) {
+async function getPlaylistInfo(url, { start = 1, limit = null, signal } = {}) {
   const args = [
     ...getCookiesArgs(),
-    '--dump-json',
+    '--dump-single-json',
     '--flat-playlist',
     '--no-warnings',
-    url
   ];
 
-  return new Promise((resolve, reject) => {
-    const process = spawn('yt-dlp', args);
-    let stdout = '';
-    let stderr = '';
+  // 大型播放列表只拉取需要的一页
+  if (limit) {
+    args.push('--playlist-items', `${start}:${start + limit - 1}`);
+  } else if (start > 1) {
+    args.push('--playlist-items', `${start}:`);
+  }
 
-    process.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+  args.push(...urlArgs(url));
 
-    process.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+  const result = await withRetry(() => executeYtdlp(args, { operation: 'playlist', signal }));
+  if (!result || typeof result !== 'object') {
+    throw new Error('Failed to parse playlist data');
+  }
 
-    process.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || `yt-dlp exited with code ${code}`));
-        return;
-      }
+  const videos = (result.entries || []).map((item, i) => ({
+    index: start - 1 + i, // 在整个播放列表中的位置（从 0 开始）
+    id: item.id,
+    title: item.title,
+    duration: item.duration,
+    uploader: item.uploader || item.channel,
+    thumbnail: pickThumbnail(item.thumbnails, 320),
+    // public、unlisted、private、needs_auth、subscriber_only、premium_only，未知时为 null
+    availability: item.availability || null,
+    url: item.url || `https://www.youtube.com/watch?v=${item.id}`
+  }));
 
-      try {
-        // 每行是一个 JSON 对象
-        const lines = stdout.trim().split('\n').filter(line => line);
-        const videos = lines.map(line => {
-          const item = JSON.parse(line);
-          return {
-            id: item.id,
-            title: item.title,
-            duration: item.duration,
-            uploader: item.uploader,
-            url: item.url || `https://www.youtube.com/watch?v=${item.id}`
-          };
-        });
-
-        resolve({
-          title: videos.length > 0 ? '播放列表' : '未知播放列表',
-          videoCount: videos.length,
-          videos
-        });
-      } catch (e) {
-        reject(new Error('Failed to parse playlist data'));
-      }
-    });
-
-    process.on('error', (err) => {
-      reject(new Error(`Failed to start yt-dlp: ${err.message}`));
-    });
-  });
+  return {
+    id: result.id,
+    title: result.title || '未知播放列表',
+    description: result.description || '',
+    uploader: result.uploader || result.channel || null,
+    uploader_id: result.uploader_id || result.channel_id || null,
+    uploader_url: result.uploader_url || result.channel_url || null,
+    thumbnail: pickThumbnail(result.thumbnails) || videos.find(v => v.thumbnail)?.thumbnail || null,
+    availability: result.availability || null,
+    webpage_url: result.webpage_url || url,
+    videoCount: videos.length,
+    // 播放列表总视频数，部分列表（如频道）yt-dlp 无法提供时为 null
+    total: result.playlist_count ?? null,
+    start,
+    hasMore: Boolean(limit) && (result.playlist_count
+      ? start - 1 + videos.length < result.playlist_count
+      : videos.length === limit),
+    videos
+  };
 }
 
 /**
@@ -162,16 +315,25 @@ async function getPlaylistInfo(url) {
  * @returns {Promise<object>} - 格式列表
  */
 async function getFormats(url) {
-  const args = [
-    ...getCookiesArgs(),
-    '--dump-json',
-    '--no-download',
-    '--no-warnings',
-    url
-  ];
+  const result = await getVideoMetadata(url);
 
-  const result = await executeYtdlp(args);
+  return {
+    video: {
+      id: result.id,
+      title: result.title,
+      thumbnail: result.thumbnail,
+      duration: result.duration,
+      uploader: result.uploader,
+    },
+    formats: classifyFormats(result),
+    subtitles: listSubtitles(result),
+  };
+}
 
+/**
+ * 将元数据中的格式分为视频和音频，并附带推荐格式
+ */
+function classifyFormats(result) {
   if (!result.formats) {
     throw new Error('No formats available');
   }
@@ -210,50 +372,164 @@ async function getFormats(url) {
   audioFormats.sort((a, b) => (b.abr || 0) - (a.abr || 0));
 
   return {
-    video: {
-      id: result.id,
-      title: result.title,
-      thumbnail: result.thumbnail,
-      duration: result.duration,
-      uploader: result.uploader,
-    },
-    formats: {
-      video: videoFormats,
-      audio: audioFormats,
-      // 推荐的合并格式（最佳视频+最佳音频）
-      recommended: [
-        { format_id: 'bestvideo+bestaudio/best', label: '最佳质量', note: '自动选择最高画质' },
-        { format_id: 'bestvideo[height<=1080]+bestaudio/best', label: '1080p', note: '全高清' },
-        { format_id: 'bestvideo[height<=720]+bestaudio/best', label: '720p', note: '高清' },
-        { format_id: 'bestvideo[height<=480]+bestaudio/best', label: '480p', note: '标清' },
-        { format_id: 'bestaudio--mp3', label: 'MP3', note: '320kbps (需要ffmpeg)', ext: 'mp3', needsConvert: true },
-      ],
-      // 音频格式选项
-      audioPresets: [
-        { format_id: 'bestaudio', label: '最佳音质', note: '原始格式 (m4a/webm)', ext: 'auto' },
-        { format_id: 'bestaudio--mp3', label: 'MP3', note: '320kbps (需要ffmpeg)', ext: 'mp3', needsConvert: true },
-        { format_id: 'bestaudio--m4a', label: 'M4A', note: 'AAC音频', ext: 'm4a', needsConvert: true },
-      ]
-    }
+    video: videoFormats,
+    audio: audioFormats,
+    // 推荐的合并格式（最佳视频+最佳音频）
+    recommended: [
+      { format_id: 'bestvideo+bestaudio/best', label: '最佳质量', note: '自动选择最高画质' },
+      { format_id: 'bestvideo[height<=1080]+bestaudio/best', label: '1080p', note: '全高清' },
+      { format_id: 'bestvideo[height<=720]+bestaudio/best', label: '720p', note: '高清' },
+      { format_id: 'bestvideo[height<=480]+bestaudio/best', label: '480p', note: '标清' },
+      { ...audioPresets.toPublicPreset(audioPresets.getAudioPreset('mp3-320')), label: 'MP3' },
+    ],
+    // 音频格式选项：原始格式和转换预设（见 audioPresets）
+    audioPresets: [
+      { format_id: 'bestaudio', label: '最佳音质', note: '原始格式 (m4a/webm)', ext: 'auto', needsConvert: false },
+      ...audioPresets.listAudioPresets(),
+    ]
+  };
+}
+
+/**
+ * 整理字幕列表
+ * @param {object} tracks - yt-dlp 的 subtitles 或 automatic_captions 字段（语言 -> 字幕文件列表）
+ * @param {boolean} automatic - 是否为自动生成的字幕
+ * @returns {object[]} - [{ lang, name, automatic, formats }]
+ */
+function listSubtitleTracks(tracks, automatic) {
+  return Object.entries(tracks || {})
+    // live_chat 是直播聊天记录，不是字幕
+    .filter(([lang]) => lang !== 'live_chat')
+    .map(([lang, files]) => ({
+      lang,
+      name: files.find(f => f.name)?.name || lang,
+      automatic,
+      formats: [...new Set(files.map(f => f.ext).filter(Boolean))],
+    }));
+}
+
+/**
+ * 列出视频的全部字幕：手动上传的在前，自动生成的在后
+ */
+function listSubtitles(result) {
+  return [
+    ...listSubtitleTracks(result.subtitles, false),
+    ...listSubtitleTracks(result.automatic_captions, true),
+  ];
+}
+
+/**
+ * 生成字幕相关的 yt-dlp 参数
+ * @param {object} options
+ * @param {string[]} options.langs - 语言代码
+ * @param {boolean} [options.automatic] - 是否包含自动生成的字幕
+ * @param {string} [options.format] - 输出格式（srt/vtt/ass），不指定时保留原始格式
+ */
+function getSubtitleArgs({ langs, automatic = false, format = null }) {
+  const args = ['--write-subs', '--sub-langs', langs.join(',')];
+  if (automatic) args.push('--write-auto-subs');
+  if (format) {
+    // 优先直接下载目标格式，没有时转换（需要 ffmpeg）
+    args.push('--sub-format', `${format}/best`, '--convert-subs', format);
+  }
+  return args;
+}
+
+/**
+ * 将标题转换为安全的文件名（不含扩展名）
+ */
+function toSafeBasename(title) {
+  return (title || 'download').replace(/[<>:"/\\|?*]/g, '_').substring(0, 200);
+}
+
+/**
+ * 下载单个语言的字幕到临时目录
+ * @param {string} url - YouTube 视频 URL
+ * @param {object} options
+ * @param {string} options.lang - 语言代码，如 en、zh-Hans
+ * @param {string} [options.format] - srt、vtt 或 ass
+ * @param {boolean} [options.automatic] - 是否为自动生成的字幕
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<{filename: string, filepath: string}>}
+ */
+async function downloadSubtitle(url, { lang, format = 'srt', automatic = false, signal }) {
+  const info = await getVideoMetadata(url);
+  const tempId = createTempId();
+  const tempFilePath = path.join(os.tmpdir(), `${TEMP_PREFIX}${tempId}`);
+  const infoPath = writeInfoJson(info);
+
+  const args = [
+    ...getCookiesArgs(),
+    '--load-info-json', infoPath,
+    '--skip-download',
+    '--no-warnings',
+    ...getSubtitleArgs({ langs: [lang], automatic, format }),
+    '-o', tempFilePath + '.%(ext)s',
+  ];
+
+  try {
+    await withRetry(() => executeYtdlp(args, { operation: 'subtitle', signal }));
+  } finally {
+    fs.unlink(infoPath, () => { });
+  }
+
+  // 字幕文件名形如 ytdl-<id>.<lang>.<ext>；缺少 ffmpeg 时可能仍为原始格式
+  const file = fs.readdirSync(os.tmpdir()).find(f => f.startsWith(`${TEMP_PREFIX}${tempId}.`));
+  if (!file) {
+    throw new YtdlpError(ERROR_CODES.NOT_FOUND, `No ${automatic ? 'automatic ' : ''}subtitles for language: ${lang}`, { status: 404 });
+  }
+
+  return {
+    filename: `${toSafeBasename(info.title)}.${lang}${path.extname(file)}`,
+    filepath: path.join(os.tmpdir(), file),
+  };
+}
+
+/**
+ * 一次性获取视频分析结果：基本信息、格式、字幕、章节和缩略图
+ * @param {string} url - YouTube 视频 URL
+ * @returns {Promise<object>}
+ */
+async function analyzeVideo(url) {
+  const result = await getVideoMetadata(url);
+
+  return {
+    info: formatVideoInfo(result),
+    formats: classifyFormats(result),
+    subtitles: listSubtitles(result),
+    chapters: formatChapters(result),
+    thumbnails: (result.thumbnails || [])
+      .filter(t => t.url && t.width)
+      .map(t => ({ id: t.id, url: t.url, width: t.width, height: t.height })),
   };
 }
 
 /**
  * 获取直接下载链接
  * @param {string} url - YouTube URL
- * @param {string} formatId - 格式 ID
+ * @param {string|object} format - 格式 ID 或结构化格式请求（见 formatSelector）
  * @returns {Promise<string>} - 下载链接
  */
-async function getDownloadUrl(url, formatId = 'best') {
+async function getDownloadUrl(url, format = 'best') {
+  const { selector, sortArgs } = compileFormat(format);
+
+  // 基于缓存的元数据选择格式，不再重新解析页面
+  const infoPath = writeInfoJson(await getVideoMetadata(url));
   const args = [
     ...getCookiesArgs(),
-    '-f', formatId,
+    '-f', selector,
+    ...sortArgs,
     '-g', // 只输出 URL
     '--no-warnings',
-    url
+    '--load-info-json', infoPath
   ];
 
-  const result = await executeYtdlp(args);
+  let result;
+  try {
+    result = await withRetry(() => executeYtdlp(args));
+  } finally {
+    fs.unlink(infoPath, () => { });
+  }
 
   // 可能返回多个 URL（视频和音频分开）
   const urls = result.split('\n').filter(u => u.trim());
@@ -269,99 +545,620 @@ async function getDownloadUrl(url, formatId = 'best') {
 /**
  * 获取带文件名的下载信息
  * @param {string} url - YouTube URL
- * @param {string} formatId - 格式 ID
+ * @param {string|object} format - 格式 ID 或结构化格式请求（见 formatSelector）
  * @returns {Promise<object>} - 下载信息
  */
-async function getDownloadInfo(url, formatId = 'best') {
-  // 检查是否是需要转换的格式（如 bestaudio--mp3）
-  let actualFormat = formatId;
-  let needsConversion = false;
-  let targetFormat = null;
-
-  if (formatId.includes('--')) {
-    const parts = formatId.split('--');
-    actualFormat = parts[0]; // e.g., 'bestaudio'
-    targetFormat = parts[1]; // e.g., 'mp3'
-    needsConversion = true;
-  }
+async function getDownloadInfo(url, format = 'best') {
+  // 检查是否是需要转换的格式（如 bestaudio--mp3-320）
+  const { selector, sortArgs, audioPreset } = compileFormat(format);
+  const needsConversion = Boolean(audioPreset);
+  const targetFormat = audioPreset ? audioPreset.ext : null;
 
+  // 基于缓存的元数据选择格式，不再重新解析页面
+  const infoPath = writeInfoJson(await getVideoMetadata(url));
   const args = [
     ...getCookiesArgs(),
-    '-f', actualFormat,
+    '-f', selector,
+    ...sortArgs,
     '--get-url',
     '--get-filename',
     '--no-warnings',
-    url
+    '--load-info-json', infoPath
   ];
 
+  const request = withRetry(async () => {
+    const stdout = await runProcess('yt-dlp', args, { operation: 'metadata' });
+    const lines = stdout.trim().split('\n').filter(l => l);
+
+    // 输出格式：URL(s) 在前，filename 在最后
+    if (lines.length >= 2) {
+      let filename = lines[lines.length - 1];
+      const urls = lines.slice(0, -1);
+
+      // 如果需要转换，修改文件扩展名提示
+      if (needsConversion && targetFormat) {
+        const extIndex = filename.lastIndexOf('.');
+        if (extIndex > 0) {
+          filename = filename.substring(0, extIndex) + '.' + targetFormat;
+        }
+      }
+
+      return {
+        filename,
+        urls,
+        canDirectDownload: urls.length === 1,
+        needsConversion,
+        targetFormat,
+        note: needsConversion
+          ? `下载后请使用 ffmpeg 转换为 ${targetFormat.toUpperCase()} 格式，或直接播放原始格式`
+          : null
+      };
+    }
+    if (lines.length === 1) {
+      // 只有 URL 没有文件名
+      return {
+        filename: 'video',
+        urls: lines,
+        canDirectDownload: true,
+        needsConversion,
+        targetFormat
+      };
+    }
+    throw new Error('Unexpected output format from yt-dlp');
+  });
+
+  try {
+    return await request;
+  } finally {
+    fs.unlink(infoPath, () => { });
+  }
+}
+
+/**
+ * 解析时间点：支持秒数（90、90.5）和 [hh:]mm:ss 形式
+ * @returns {number|null} - 无法解析时返回 null
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) return null;
+
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * 格式化时间点为 [h.]mm.ss，用于文件名（文件名中不能使用冒号）
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}.${String(m).padStart(2, '0')}.${sec}` : `${String(m).padStart(2, '0')}.${sec}`;
+}
+
+/**
+ * 将剪辑选项解析为时间范围
+ * @param {string} url - YouTube URL
+ * @param {object} clip - { start, end }（秒），或 { chapter }（章节序号，从 1 开始，或章节标题）
+ * @returns {Promise<{start: number, end: number|null, label: string}>} - end 为 null 表示到结尾
+ */
+async function resolveClip(url, { start = 0, end = null, chapter = null }) {
+  if (chapter === null || chapter === undefined || chapter === '') {
+    return {
+      start,
+      end,
+      label: `${formatTimestamp(start)}-${end === null ? 'end' : formatTimestamp(end)}`,
+    };
+  }
+
+  const { chapters = [] } = await getVideoMetadata(url);
+  const byIndex = /^\d+$/.test(String(chapter)) ? chapters[parseInt(chapter) - 1] : null;
+  const found = byIndex || chapters.find(c => c.title.toLowerCase() === String(chapter).trim().toLowerCase());
+
+  if (!found) {
+    throw new YtdlpError(ERROR_CODES.NOT_FOUND, `Chapter not found: ${chapter}`, { status: 404 });
+  }
+
+  return { start: found.start_time, end: found.end_time, label: found.title };
+}
+
+/**
+ * 截取文件的指定时间范围，结果覆盖原文件
+ */
+async function trimFile(filepath, range, signal) {
+  const ext = path.extname(filepath);
+  const outputPath = filepath.slice(0, -ext.length) + `-trim${ext}`;
+
+  await cutSegment(filepath, outputPath, range, {}, { signal });
+  fs.renameSync(outputPath, filepath);
+}
+
+/**
+ * 使用 yt-dlp 下载文件到临时目录
+ * 指定 clip 时只下载该片段：优先使用 --download-sections，失败时下载完整文件后用 ffmpeg 截取
+ * 不自动重试，由调用方决定重试策略（见 errors.withRetry）
+ * @param {string} url - YouTube URL
+ * @param {string|object} format - 格式 ID（支持 bestaudio--mp3 形式的转换格式）或结构化格式请求（见 formatSelector）
+ * @param {object} [options]
+ * @param {string} [options.tempId] - 临时文件 ID，相同 ID 重复下载时会断点续传；
+ *                                    失败或取消时未完成的文件保留，由调用方在放弃下载后删除（见 removeTempFiles）
+ * @param {function} [options.onSpawn] - 进程启动后回调，接收子进程（用于暂停/取消）
+ * @param {function} [options.onProgress] - 进度回调，接收结构化进度对象
+ * @param {AbortSignal} [options.signal] - 取消信号（如客户端断开连接），同时终止下载和后期处理
+ * @param {object} [options.subtitles] - 附带字幕（仅视频）：{ langs, automatic, mode: 'embed' | 'sidecar', format }
+ *                                       embed 内嵌到视频文件，sidecar 作为单独文件返回
+ * @param {object} [options.clip] - 剪辑范围：{ start, end }（秒）或 { chapter }（见 resolveClip）
+ * @param {object|null} [options.tags] - MP3/M4A 标签：{ title, artist, album, track, year }，
+ *                                       覆盖从视频信息中获取的默认值；null 表示不写入标签和封面
+ * @param {boolean} [options.loudnorm] - 对转换后的音频做响度标准化（仅音频预设格式）
+ * @param {boolean} [options.compatible] - 兼容 MP4（仅视频格式）：优先下载 H.264 + AAC 的流，
+ *                                         结果不是 MP4/H.264/AAC 时再用 ffmpeg 重新封装或转码
+ * @returns {Promise<{filename: string, filepath: string, sidecars: object[], mp4Conversion?: string}>}
+ *          mp4Conversion 为兼容 MP4 采用的方式：direct（无需处理）、remux（重新封装）或 transcode（转码）
+ */
+async function downloadFile(url, format, { tags = {}, loudnorm = false, ...options } = {}) {
+  const preset = compileFormat(format, { compatible: options.compatible }).audioPreset;
+  const withCover = tags !== null && ['mp3', 'm4a'].includes(preset?.codec);
+  const { cover, ...result } = await downloadMedia(url, format, { ...options, withCover });
+
+  if (options.compatible) {
+    try {
+      await ensureCompatibleMp4(result, options.onProgress, options.signal);
+    } catch (error) {
+      fs.unlink(result.filepath, () => { });
+      result.sidecars.forEach(sidecar => fs.unlink(sidecar.filepath, () => { }));
+      throw error;
+    }
+  }
+
+  if (preset) {
+    try {
+      if (loudnorm) {
+        await normalizeLoudness(result.filepath, audioPresets.getEncoderArgs(preset), { signal: options.signal });
+      } else {
+        await enforcePresetBitrate(result.filepath, preset, options.onProgress, options.signal);
+      }
+    } catch (error) {
+      fs.unlink(result.filepath, () => { });
+      if (cover) fs.unlink(cover, () => { });
+      throw error;
+    }
+  }
+
+  if (tags !== null && isTaggableAudio(result.filepath)) {
+    await tagAudio(url, result.filepath, tags, cover, options.signal);
+  }
+  if (cover) fs.unlink(cover, () => { });
+
+  return result;
+}
+
+/**
+ * 源音频已是目标编码时 yt-dlp 直接复制音轨（见 audioPresets.getExtractArgs），码率与预设可能不符
+ * （如 Opus 96k 得到约 160k 的源音轨），实际码率偏差超过 BITRATE_TOLERANCE 时按预设重新编码
+ */
+async function enforcePresetBitrate(filepath, preset, onProgress, signal) {
+  if (!preset.bitrate) return;
+
+  const { bitrate } = await probeStreams(filepath);
+  if (bitrate === null || Math.abs(bitrate - preset.bitrate) <= preset.bitrate * BITRATE_TOLERANCE) return;
+
+  console.log(`[yt-dlp] Re-encoding audio to ${preset.id}: source bitrate ${bitrate}k`);
+  if (onProgress) onProgress({ phase: 'converting', status: 'started', percent: null });
+  await encodeAudio(filepath, audioPresets.getEncoderArgs(preset), { signal });
+}
+
+/**
+ * 确保下载结果为 MP4（H.264 + AAC），必要时重新封装或转码，更新 result 的文件路径和文件名
+ * 只需改换容器时重新封装，编码不兼容时只转码不兼容的流
+ */
+async function ensureCompatibleMp4(result, onProgress, signal) {
+  const { video, audio } = await probeStreams(result.filepath);
+  const ext = path.extname(result.filepath);
+  const copyVideo = !video || video === 'h264';
+  const copyAudio = !audio || audio === 'aac';
+
+  if (ext.toLowerCase() === '.mp4' && copyVideo && copyAudio) {
+    result.mp4Conversion = 'direct';
+    return;
+  }
+
+  result.mp4Conversion = copyVideo && copyAudio ? 'remux' : 'transcode';
+  console.log(`[yt-dlp] Converting to MP4 (${result.mp4Conversion}): video=${video}, audio=${audio}`);
+  if (onProgress) {
+    onProgress({ phase: result.mp4Conversion === 'remux' ? 'remuxing' : 'converting', status: 'started', percent: null });
+  }
+
+  const outputPath = result.filepath.slice(0, -ext.length) + '-compatible.mp4';
+  await convertToMp4(result.filepath, outputPath, { copyVideo, copyAudio, signal });
+  fs.unlinkSync(result.filepath);
+
+  result.filepath = outputPath;
+  result.filename = path.basename(result.filename, ext) + '.mp4';
+}
+
+/**
+ * 写入音频标签：标题、上传者（艺术家）、上传年份，以及调用方提供的专辑、音轨序号等
+ * 标签写入失败不影响下载结果
+ */
+async function tagAudio(url, filepath, overrides, coverPath, signal) {
+  try {
+    const metadata = await getVideoMetadata(url);
+    const tags = {
+      title: metadata.title,
+      artist: metadata.uploader,
+      year: metadata.upload_date ? metadata.upload_date.slice(0, 4) : null,
+    };
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined && value !== null && value !== '') tags[key] = value;
+    }
+
+    await writeAudioTags(filepath, tags, coverPath, { signal });
+  } catch (error) {
+    console.warn('[yt-dlp] Failed to write audio tags:', error.message);
+  }
+}
+
+/**
+ * 下载文件，处理剪辑（downloadFile 的实现，不写入标签）
+ * @returns {Promise<object>} - 同 downloadFile，另有 cover（封面图片路径，可能为 null）
+ */
+async function downloadMedia(url, format, options = {}) {
+  if (!options.clip) return runDownload(url, format, options);
+
+  const range = await resolveClip(url, options.clip);
+  const tempId = options.tempId || createTempId();
+  let child = null;
+  const onSpawn = (spawned) => {
+    child = spawned;
+    if (options.onSpawn) options.onSpawn(spawned);
+  };
+
+  try {
+    return await runDownload(url, format, { ...options, tempId, onSpawn, range });
+  } catch (error) {
+    // 旧版 yt-dlp 不支持 --download-sections，或分段下载失败（错误未能归类）时改用 ffmpeg 截取
+    // 被暂停或取消而终止的进程不回退
+    if (error.code !== ERROR_CODES.UNKNOWN || child?.killed) throw error;
+
+    console.warn('[yt-dlp] Section download failed, falling back to ffmpeg trim:', error.message);
+
+    // 清除分段下载残留的文件，避免 yt-dlp 误认为已下载完成
+    removeTempFiles(tempId);
+
+    const result = await runDownload(url, format, { ...options, tempId, onSpawn, range, trimWithFfmpeg: true });
+    try {
+      await trimFile(result.filepath, range, options.signal);
+    } catch (trimError) {
+      fs.unlink(result.filepath, () => { });
+      throw trimError;
+    }
+    return result;
+  }
+}
+
+/**
+ * 下载视频并按章节拆分为多个文件
+ * 每个文件写入章节标题、音轨序号和视频标题（专辑）元数据，tags 中的艺术家、专辑、年份覆盖默认值
+ * @param {string} url - YouTube URL
+ * @param {string|object} format - 格式，同 downloadFile
+ * @param {object} [options] - 同 downloadFile（不支持 clip 和 subtitles），tags 为 null 时不写入标签和封面
+ * @returns {Promise<{title: string, tracks: object[], mp4Conversion: string|null}>} - tracks: [{ number, title, filename, filepath }]
+ */
+async function downloadChapters(url, format, { tempId = createTempId(), onSpawn, onProgress, signal, tags = {}, loudnorm = false, compatible = false } = {}) {
+  const { title, chapters = [] } = await getVideoMetadata(url);
+
+  if (chapters.length === 0) {
+    throw new YtdlpError(ERROR_CODES.NOT_FOUND, 'Video has no chapters', { status: 404 });
+  }
+
+  const result = await downloadFile(url, format, { tempId, onSpawn, onProgress, signal, tags, loudnorm, compatible });
+  const ext = path.extname(result.filepath);
+  const digits = Math.max(2, String(chapters.length).length);
+  const tracks = [];
+
+  try {
+    for (const [i, chapter] of chapters.entries()) {
+      const number = String(i + 1).padStart(digits, '0');
+      const filepath = path.join(os.tmpdir(), `${TEMP_PREFIX}${tempId}-chapter${number}${ext}`);
+
+      if (onProgress) {
+        onProgress({ phase: 'splitting', percent: Math.round((i / chapters.length) * 1000) / 10, chapter: i + 1, chapters: chapters.length });
+      }
+      await cutSegment(result.filepath, filepath, { start: chapter.start_time, end: chapter.end_time }, tags === null ? {} : {
+        artist: tags.artist,
+        date: tags.year,
+        album: tags.album || title,
+        title: chapter.title,
+        track: `${i + 1}/${chapters.length}`,
+      });
+
+      tracks.push({
+        number: i + 1,
+        title: chapter.title,
+        filename: `${number} - ${toSafeBasename(chapter.title)}${ext}`,
+        filepath,
+      });
+    }
+  } catch (error) {
+    tracks.forEach(track => fs.unlink(track.filepath, () => { }));
+    throw error;
+  } finally {
+    fs.unlink(result.filepath, () => { });
+  }
+
+  return { title: toSafeBasename(title), tracks, mp4Conversion: result.mp4Conversion || null };
+}
+
+/**
+ * 执行 yt-dlp 下载（downloadFile 的实现）
+ * @param {object} [options.range] - 已解析的剪辑范围，用于 --download-sections 和文件名
+ * @param {boolean} [options.trimWithFfmpeg] - 下载完整文件，由调用方截取
+ * @param {boolean} [options.withCover] - 同时下载封面图片（jpg），用于写入音频标签
+ * @param {boolean} [options.compatible] - 兼容 MP4，见 formatSelector.compileFormat
+ */
+function runDownload(url, format, { tempId = createTempId(), onSpawn, onProgress, signal, subtitles = null, range = null, trimWithFfmpeg = false, withCover = false, compatible = false } = {}) {
   return new Promise((resolve, reject) => {
-    const process = spawn('yt-dlp', args);
-    let stdout = '';
-    let stderr = '';
+    const tempDir = os.tmpdir();
+    const tempFilePath = path.join(tempDir, `${TEMP_PREFIX}${tempId}`);
 
-    process.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+    // 编译格式：格式字符串或结构化格式请求，bestaudio--<预设 ID> 表示提取音频并转换
+    let compiled;
+    try {
+      compiled = compileFormat(format, { compatible });
+    } catch (error) {
+      return reject(error);
+    }
+    const { audioPreset } = compiled;
 
-    process.stderr.on('data', (data) => {
-      stderr += data.toString();
+    let positional;
+    try {
+      positional = urlArgs(url);
+    } catch (error) {
+      return reject(error);
+    }
+
+    // 构建 yt-dlp 参数，包含 cookies
+    const args = [
+      ...getCookiesArgs(),
+      '-f', compiled.selector,
+      ...compiled.sortArgs,
+      ...compiled.outputArgs,
+      '-o', tempFilePath + '.%(ext)s',
+      '--no-playlist',
+      '--no-warnings',
+      ...PROGRESS_ARGS,
+    ];
+
+    // 如果需要音频转换
+    if (audioPreset) {
+      args.push(...audioPresets.getExtractArgs(audioPreset));
+    } else if (subtitles && subtitles.langs.length > 0) {
+      if (subtitles.mode === 'embed') {
+        args.push(...getSubtitleArgs(subtitles), '--embed-subs');
+      } else {
+        args.push(...getSubtitleArgs({ ...subtitles, format: subtitles.format || 'srt' }));
+      }
+    }
+
+    if (withCover) {
+      args.push('--write-thumbnail', '--convert-thumbnails', 'jpg');
+      args.push('-o', `thumbnail:${tempFilePath}.cover.%(ext)s`);
+    }
+
+    if (range && !trimWithFfmpeg) {
+      args.push('--download-sections', `*${range.start}-${range.end === null ? 'inf' : range.end}`);
+      args.push('--force-keyframes-at-cuts'); // 精确剪切（需要重新编码切点附近的片段）
+    }
+
+    // URL 必须是最后一个参数（-- 之后的都是位置参数）
+    args.push(...positional);
+
+    console.log('[yt-dlp] Downloading:', url);
+
+    // 进度输出同时用于检测卡住的下载
+    const ytdlp = spawnProcess('yt-dlp', args, { operation: 'download', stallTimeout: config.PROCESS_STALL_TIMEOUT, signal });
+
+    if (onSpawn) onSpawn(ytdlp);
+
+    // 后期处理（音频转换、合并、内嵌字幕、精确剪切的重新编码等）期间 yt-dlp 没有输出，只在下载阶段检测卡住
+    const parseProgress = createProgressParser((progress) => {
+      ytdlp.setStallDetection(progress.phase === 'downloading');
+      if (onProgress) onProgress(progress);
     });
 
-    process.on('close', (code) => {
+    ytdlp.stdout.on('data', parseProgress);
+
+    ytdlp.on('close', async (code) => {
+      // 未完成的文件保留：重试或暂停后继续时可以续传，取消时由调用方删除
+      if (ytdlp.terminationError) return reject(ytdlp.terminationError);
       if (code !== 0) {
-        reject(new Error(stderr || `yt-dlp exited with code ${code}`));
-        return;
+        return reject(classifyError(ytdlp.getStderr() || `yt-dlp exited with code ${code}`));
       }
 
-      const lines = stdout.trim().split('\n').filter(l => l);
+      // 查找下载的文件（忽略未完成的分片）
+      // 主文件为 ytdl-<id>.<ext>，单独的字幕文件为 ytdl-<id>.<lang>.<ext>，封面为 ytdl-<id>.cover.<ext>
+      const prefix = `${TEMP_PREFIX}${tempId}.`;
+      const files = fs.readdirSync(tempDir)
+        .filter(f => f.startsWith(prefix) && !f.endsWith('.part'));
+      const mainFile = files.find(f => !f.slice(prefix.length).includes('.'));
+      const coverFile = withCover ? files.find(f => f.startsWith(`${prefix}cover.`)) : null;
 
-      // 输出格式：URL(s) 在前，filename 在最后
-      if (lines.length >= 2) {
-        let filename = lines[lines.length - 1];
-        const urls = lines.slice(0, -1);
-
-        // 如果需要转换，修改文件扩展名提示
-        if (needsConversion && targetFormat) {
-          const extIndex = filename.lastIndexOf('.');
-          if (extIndex > 0) {
-            filename = filename.substring(0, extIndex) + '.' + targetFormat;
-          }
+      if (!mainFile) {
+        files.forEach(f => fs.unlink(path.join(tempDir, f), () => { }));
+        // 超出 --max-filesize 时 yt-dlp 跳过下载但正常退出
+        if (compiled.maxFilesize) {
+          return reject(new YtdlpError(ERROR_CODES.FORMAT_UNAVAILABLE, `No format within ${compiled.maxFilesize} MB`, { status: 422 }));
         }
+        return reject(new Error('Downloaded file not found'));
+      }
 
-        resolve({
-          filename,
-          urls,
-          canDirectDownload: urls.length === 1,
-          needsConversion,
-          targetFormat,
-          note: needsConversion
-            ? `下载后请使用 ffmpeg 转换为 ${targetFormat.toUpperCase()} 格式，或直接播放原始格式`
-            : null
-        });
-      } else if (lines.length === 1) {
-        // 只有 URL 没有文件名
-        resolve({
-          filename: 'video',
-          urls: lines,
-          canDirectDownload: true,
-          needsConversion,
-          targetFormat
-        });
-      } else {
-        reject(new Error('Unexpected output format from yt-dlp'));
+      const downloadedFile = path.join(tempDir, mainFile);
+      const ext = path.extname(mainFile);
+
+      // 只有 sidecar 模式返回字幕文件，其余残留文件（如内嵌后未删除的字幕）直接清理
+      const keepSidecars = subtitles?.mode === 'sidecar' && !audioPreset;
+      const extraFiles = files.filter(f => f !== mainFile && f !== coverFile);
+      if (!keepSidecars) {
+        extraFiles.forEach(f => fs.unlink(path.join(tempDir, f), () => { }));
+      }
+
+      // 使用视频标题作为文件名（优先使用缓存的元数据）
+      let basename = 'download';
+      try {
+        const { title } = await getVideoMetadata(url);
+        if (title) {
+          basename = toSafeBasename(range ? `${title} (${range.label})` : title);
+        }
+      } catch (e) {
+        console.log('Failed to get title:', e.message);
       }
+
+      resolve({
+        filename: basename + ext,
+        filepath: downloadedFile,
+        sidecars: (keepSidecars ? extraFiles : [])
+          .map(f => ({ filename: basename + f.slice(prefix.length - 1), filepath: path.join(tempDir, f) })),
+        cover: coverFile ? path.join(tempDir, coverFile) : null,
+      });
     });
 
-    process.on('error', (err) => {
-      reject(new Error(`Failed to start yt-dlp: ${err.message}`));
+    ytdlp.on('error', (err) => {
+      reject(classifyError(`Failed to start yt-dlp: ${err.message}`));
     });
   });
 }
 
+/**
+ * 流式下载的准备：选择格式并判断能否边下载边发送（不下载）
+ * 单个流由 yt-dlp 直接输出；音视频分开时由 ffmpeg 从直链读取并合并为分片 MP4、WebM 或 MKV
+ * 需要音频转换、限制文件大小，或所选的流无法直接读取时返回 null，由调用方改用 downloadFile
+ * @param {string} url - YouTube URL
+ * @param {string|object} format - 格式 ID 或结构化格式请求（见 formatSelector）
+ * @returns {Promise<object|null>} - { type: 'single' | 'merge', filename, ... }，传给 openStream
+ */
+async function planStream(url, format) {
+  const compiled = compileFormat(format);
+  if (compiled.audioPreset || compiled.maxFilesize) return null;
+
+  const metadata = await getVideoMetadata(url);
+  const infoPath = writeInfoJson(metadata);
+  let info;
+  try {
+    info = await withRetry(() => executeYtdlp([
+      ...getCookiesArgs(),
+      '-f', compiled.selector,
+      ...compiled.sortArgs,
+      ...compiled.outputArgs,
+      '-j', // 输出选中格式后的信息，不下载
+      '--no-warnings',
+      '--load-info-json', infoPath
+    ]));
+  } finally {
+    fs.unlink(infoPath, () => { });
+  }
+
+  if (!info || typeof info !== 'object') {
+    throw new Error('Unexpected output format from yt-dlp');
+  }
+
+  const filename = `${toSafeBasename(info.title || metadata.title || 'download')}.${info.ext}`;
+  const formats = info.requested_formats;
+
+  if (!formats) {
+    return { type: 'single', filename, metadata, compiled };
+  }
+
+  if (formats.length !== 2 || !canStreamMerge(info.ext) ||
+    !formats.every(f => STREAMABLE_PROTOCOLS.includes(f.protocol))) {
+    return null;
+  }
+
+  return {
+    type: 'merge',
+    filename,
+    container: info.ext,
+    inputs: formats.map(f => ({ url: f.url, headers: f.http_headers || {} })),
+  };
+}
+
+/**
+ * 开始流式下载，数据从返回的子进程 stdout 输出
+ * 调用方负责读取 stdout 和处理退出码（失败时 child.terminationError 或 child.getStderr() 的分类结果）
+ * 超时、长时间没有数据或取消时进程被终止（见 processRunner）
+ * @param {object} plan - planStream 的结果
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 取消信号（如客户端断开连接）
+ * @returns {ChildProcess}
+ */
+function openStream(plan, { signal } = {}) {
+  if (plan.type === 'merge') {
+    return spawnMergeStream(plan.inputs, plan.container, { signal });
+  }
+
+  const infoPath = writeInfoJson(plan.metadata);
+  const child = spawnProcess('yt-dlp', [
+    ...getCookiesArgs(),
+    '-f', plan.compiled.selector,
+    ...plan.compiled.sortArgs,
+    '-o', '-',
+    '--no-playlist',
+    '--no-warnings',
+    '--no-progress',
+    '--load-info-json', infoPath
+  ], { operation: 'stream', stallTimeout: config.PROCESS_STALL_TIMEOUT, signal });
+
+  child.on('close', () => fs.unlink(infoPath, () => { }));
+  child.on('error', () => fs.unlink(infoPath, () => { }));
+  return child;
+}
+
+/**
+ * 删除临时文件 ID 对应的所有文件：下载结果、未完成的 .part、字幕、封面，
+ * 以及由下载结果生成的文件（如 -compatible.mp4、按章节拆分的文件）
+ * 同步删除，调用后可以立即用相同 ID 重新下载；文件可能已被删除，忽略删除失败
+ */
+function removeTempFiles(tempId) {
+  const tempDir = os.tmpdir();
+  const prefixes = [`${TEMP_PREFIX}${tempId}.`, `${TEMP_PREFIX}${tempId}-`];
+
+  for (const f of fs.readdirSync(tempDir)) {
+    if (!prefixes.some(prefix => f.startsWith(prefix))) continue;
+    try {
+      fs.unlinkSync(path.join(tempDir, f));
+    } catch (error) {
+      // 已被删除
+    }
+  }
+}
+
+/**
+ * 生成临时文件 ID
+ */
+function createTempId() {
+  return Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
 module.exports = {
+  TEMP_PREFIX,
+  SUBTITLE_FORMATS,
+  createTempId,
+  removeTempFiles,
+  extractVideoId,
+  getVideoMetadata,
+  purgeMetadataCache,
+  getCacheStats,
   getVideoInfo,
+  analyzeVideo,
+  parseTimestamp,
+  downloadSubtitle,
   getPlaylistInfo,
   getFormats,
   getDownloadUrl,
   getDownloadInfo,
+  downloadFile,
+  downloadChapters,
+  planStream,
+  openStream,
 };
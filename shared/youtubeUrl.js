@@ -0,0 +1,204 @@
+/**
+ * YouTube 链接解析与规范化（服务端和前端共用）
+ * 服务端通过 require 使用，前端通过 <script src="shared/youtubeUrl.js"> 加载后使用全局的 YoutubeUrl
+ *
+ * 支持的链接：
+ * - 视频：watch?v=、youtu.be/、shorts/、live/、embed/、music.youtube.com/watch?v=（可带 t= 时间点）
+ * - 播放列表：playlist?list=、music.youtube.com/playlist?list=、embed/videoseries?list=
+ * - 合辑（Mix）：不带视频 ID 的 list=RD...
+ * - 频道：@handle、/channel/UC...、/c/名称、/user/名称（可带 videos/shorts/streams 标签页，@handle/live 为直播）
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.YoutubeUrl = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // 去掉 www. / m. 前缀后的域名
+  const HOSTS = ['youtube.com', 'music.youtube.com', 'youtu.be', 'youtube-nocookie.com'];
+
+  // 单个视频的链接类型
+  const VIDEO_TYPES = ['video', 'short', 'live'];
+
+  // 包含多个视频的链接类型（按播放列表处理）
+  const COLLECTION_TYPES = ['playlist', 'mix', 'channel'];
+
+  // 路径前缀 -> 视频类型
+  const VIDEO_PATHS = {
+    shorts: 'short',
+    live: 'live',
+    embed: 'video',
+    v: 'video',
+    e: 'video',
+  };
+
+  const CHANNEL_PATHS = ['channel', 'c', 'user'];
+  const CHANNEL_TABS = ['videos', 'shorts', 'streams'];
+
+  const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+  const PLAYLIST_ID_PATTERN = /^[\w-]{2,64}$/;
+  const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+  const CHANNEL_NAME_PATTERN = /^[^/\s?#]{1,100}$/;
+
+  const MAX_URL_LENGTH = 2000;
+
+  function failure(error) {
+    return { valid: false, type: null, url: null, videoId: null, playlistId: null, channel: null, start: null, error };
+  }
+
+  /**
+   * 解析 t= / start= 时间点：90、90s、1m30s、1h2m3s
+   * @returns {number|null} - 秒数，无法解析时返回 null
+   */
+  function parseStart(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+    const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+    if (!match) return null;
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  /**
+   * 解析频道链接：@handle、/channel/UC...、/c/名称、/user/名称
+   * @returns {object|null} - { kind, id, tab }，不是频道链接时返回 null
+   */
+  function parseChannel(segments) {
+    const [first, second] = segments;
+    let channel = null;
+
+    if (first.startsWith('@')) {
+      channel = { kind: 'handle', id: first, tab: segments[1] || null };
+    } else if (CHANNEL_PATHS.includes(first) && second) {
+      channel = { kind: first === 'channel' ? 'id' : first, id: second, tab: segments[2] || null };
+    }
+    return channel;
+  }
+
+  function channelBase(channel) {
+    if (channel.kind === 'handle') return `https://www.youtube.com/${channel.id}`;
+    return `https://www.youtube.com/${channel.kind === 'id' ? 'channel' : channel.kind}/${channel.id}`;
+  }
+
+  /**
+   * 解析 YouTube 链接
+   * @param {string} input - 用户输入的链接（可省略 https://）
+   * @returns {object} - {
+   *   valid: 是否为支持的 YouTube 链接,
+   *   type: 'video' | 'short' | 'live' | 'playlist' | 'mix' | 'channel',
+   *   url: 规范化后的链接（视频为 https://www.youtube.com/watch?v=ID，播放列表为 /playlist?list=ID，频道为其标签页）,
+   *   videoId, playlistId,
+   *   channel: { kind: 'handle' | 'id' | 'c' | 'user', id, tab }（仅频道）,
+   *   start: t= 指定的起始秒数,
+   *   error: 无效时的原因
+   * }
+   */
+  function parseYouTubeUrl(input) {
+    if (typeof input !== 'string' || !input.trim()) return failure('Missing URL');
+
+    let text = input.trim();
+    if (text.length > MAX_URL_LENGTH) return failure('URL is too long');
+    if (!/^[a-z][a-z\d+.-]*:\/\//i.test(text)) text = `https://${text}`;
+
+    let parsed;
+    try {
+      parsed = new URL(text);
+    } catch (e) {
+      return failure('Malformed URL');
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return failure('Unsupported URL scheme');
+
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m)\./, '');
+    if (!HOSTS.includes(host)) return failure('Not a YouTube URL');
+
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const params = parsed.searchParams;
+    const start = parseStart(params.get('t') || params.get('start'));
+    const playlistId = params.get('list');
+    let videoId = null;
+    let type = null;
+
+    if (host === 'youtu.be') {
+      videoId = segments[0] || null;
+      type = 'video';
+    } else if (segments[0] === 'watch') {
+      videoId = params.get('v');
+      type = 'video';
+    } else if (segments[0] === 'playlist') {
+      type = 'playlist';
+    } else if (segments[0] === 'embed' && segments[1] === 'videoseries') {
+      type = 'playlist';
+    } else if (VIDEO_PATHS[segments[0]] && segments[1]) {
+      videoId = segments[1];
+      type = VIDEO_PATHS[segments[0]];
+    } else if (host === 'youtube.com' && segments.length > 0) {
+      const channel = parseChannel(segments);
+      if (channel) return resolveChannel(channel);
+    }
+
+    if (videoId !== null && !VIDEO_ID_PATTERN.test(videoId)) return failure('Invalid video ID');
+    if (playlistId !== null && !PLAYLIST_ID_PATTERN.test(playlistId)) return failure('Invalid playlist ID');
+
+    // 带视频 ID 的链接按单个视频处理（播放列表中的某个视频）
+    if (videoId) {
+      return {
+        valid: true,
+        type,
+        url: `https://www.youtube.com/watch?v=${videoId}`,
+        videoId,
+        playlistId,
+        channel: null,
+        start,
+        error: null,
+      };
+    }
+
+    if (playlistId) {
+      // 合辑需要起始视频，RD + 视频 ID 形式的合辑可以从 ID 中取出
+      const isMix = playlistId.startsWith('RD');
+      const seed = isMix && VIDEO_ID_PATTERN.test(playlistId.slice(2)) ? playlistId.slice(2) : null;
+      return {
+        valid: true,
+        type: isMix ? 'mix' : 'playlist',
+        url: seed
+          ? `https://www.youtube.com/watch?v=${seed}&list=${playlistId}`
+          : `https://www.youtube.com/playlist?list=${playlistId}`,
+        videoId: null,
+        playlistId,
+        channel: null,
+        start: null,
+        error: null,
+      };
+    }
+
+    return failure(type ? 'Missing video or playlist ID' : 'Unsupported YouTube URL');
+  }
+
+  /**
+   * 频道链接：校验 ID，默认使用视频标签页，@handle/live 按直播视频处理
+   */
+  function resolveChannel(channel) {
+    const idPattern = channel.kind === 'id' ? CHANNEL_ID_PATTERN : CHANNEL_NAME_PATTERN;
+    if (!idPattern.test(channel.id) || (channel.kind === 'handle' && channel.id.length < 2)) {
+      return failure('Invalid channel');
+    }
+
+    const result = { valid: true, videoId: null, playlistId: null, start: null, error: null };
+
+    if (channel.tab === 'live') {
+      return { ...result, type: 'live', url: `${channelBase(channel)}/live`, channel: { ...channel, tab: 'live' } };
+    }
+
+    const tab = CHANNEL_TABS.includes(channel.tab) ? channel.tab : 'videos';
+    return { ...result, type: 'channel', url: `${channelBase(channel)}/${tab}`, channel: { ...channel, tab } };
+  }
+
+  return {
+    VIDEO_TYPES,
+    COLLECTION_TYPES,
+    parseYouTubeUrl,
+  };
+});
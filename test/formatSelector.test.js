@@ -0,0 +1,67 @@
+/**
+ * 格式参数校验：格式字符串会作为 -f 的值传给 yt-dlp，不能被解析成额外的选项
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compileFormat, normalizeFormat } = require('../server/services/formatSelector');
+const { ERROR_CODES } = require('../server/services/errors');
+
+function assertInvalid(fn, pattern) {
+  assert.throws(fn, (error) => {
+    assert.strictEqual(error.code, ERROR_CODES.BAD_REQUEST);
+    assert.strictEqual(error.status, 400);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('接受常规的格式字符串', () => {
+  assert.strictEqual(compileFormat('best').selector, 'best');
+  assert.strictEqual(compileFormat('bv*[height<=720]+ba/b').selector, 'bv*[height<=720]+ba/b');
+  assert.strictEqual(normalizeFormat('bestaudio--mp3-320'), 'bestaudio--mp3-320');
+
+  const compiled = compileFormat('bestaudio--mp3-320');
+  assert.strictEqual(compiled.selector, 'bestaudio');
+  assert.strictEqual(compiled.audioPreset.id, 'mp3-320');
+});
+
+test('拒绝以 - 开头的格式字符串', () => {
+  for (const format of ['-x', '-f best', '-S res', '-o/tmp/out']) {
+    assertInvalid(() => compileFormat(format), /malformed selector/);
+    assertInvalid(() => normalizeFormat(format), /malformed selector/);
+  }
+});
+
+test('拒绝夹带 --exec 等选项的格式字符串', () => {
+  for (const format of ['--exec', '--exec=touch /tmp/pwned', 'best --exec=id', 'best\n--exec id']) {
+    assertInvalid(() => compileFormat(format), /Invalid format/);
+    assertInvalid(() => normalizeFormat(format), /Invalid format/);
+  }
+});
+
+test('拒绝不允许的字符', () => {
+  for (const format of ['best;rm -rf /', 'best|id', ' best', 'best`id`']) {
+    assertInvalid(() => compileFormat(format), /malformed selector/);
+  }
+});
+
+test('拒绝括号不匹配的格式字符串', () => {
+  for (const format of ['bv*[height<=1080', 'bv*]', 'bv*[height<=1080)+ba', '(bv+ba']) {
+    assertInvalid(() => compileFormat(format), /unbalanced brackets/);
+  }
+});
+
+test('拒绝未知的音频预设', () => {
+  assertInvalid(() => compileFormat('bestaudio--nope'), /unknown audio preset nope/);
+  assertInvalid(() => compileFormat('bestaudio--../x'), /unknown audio preset/);
+  assertInvalid(() => normalizeFormat({ type: 'audio', audio: 'nope' }), /unknown audio preset nope/);
+});
+
+test('拒绝结构化请求中不合法的字段', () => {
+  assertInvalid(() => normalizeFormat({ type: 'video', container: '--exec' }), /container must be one of/);
+  assertInvalid(() => normalizeFormat({ type: 'video', maxHeight: '1080 --exec' }), /maxHeight must be an integer/);
+  assertInvalid(() => normalizeFormat({ type: 'video', exec: 'id' }), /unknown field exec/);
+  assertInvalid(() => normalizeFormat('{"type":'), /malformed JSON/);
+  assertInvalid(() => normalizeFormat(['best']), /expected a string or an object/);
+});
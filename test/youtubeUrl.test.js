@@ -0,0 +1,194 @@
+/**
+ * URL 校验：只接受 YouTube 链接，传给 yt-dlp 时放在 -- 之后，不会被当作选项解析
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseYouTubeUrl } = require('../shared/youtubeUrl');
+const { getVideoMetadata } = require('../server/services/ytdlp');
+const { ERROR_CODES } = require('../server/services/errors');
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+const PLAYLIST_ID = 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+const CHANNEL_ID = 'UCuAXFkgsw1L7xaCfnd5JJOw';
+
+// [链接, 类型, 规范化后的链接]
+const VIDEO_LINKS = [
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'video', VIDEO_URL],
+  ['https://m.youtube.com/watch?v=dQw4w9WgXcQ&feature=share', 'video', VIDEO_URL],
+  ['youtu.be/dQw4w9WgXcQ', 'video', VIDEO_URL],
+  ['https://www.youtube.com/shorts/dQw4w9WgXcQ', 'short', VIDEO_URL],
+  ['https://www.youtube.com/live/dQw4w9WgXcQ', 'live', VIDEO_URL],
+  ['https://www.youtube.com/embed/dQw4w9WgXcQ', 'video', VIDEO_URL],
+  ['https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', 'video', VIDEO_URL],
+  ['https://music.youtube.com/watch?v=dQw4w9WgXcQ', 'video', VIDEO_URL],
+  // 带播放列表的视频链接按单个视频处理
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=RDdQw4w9WgXcQ', 'video', VIDEO_URL],
+];
+
+const PLAYLIST_LINKS = [
+  [`https://www.youtube.com/playlist?list=${PLAYLIST_ID}`, 'playlist', `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`],
+  [`https://music.youtube.com/playlist?list=${PLAYLIST_ID}`, 'playlist', `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`],
+  [`https://www.youtube.com/embed/videoseries?list=${PLAYLIST_ID}`, 'playlist', `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`],
+  // 合辑没有独立的播放列表页，规范化为其种子视频
+  ['https://www.youtube.com/playlist?list=RDdQw4w9WgXcQ', 'mix', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=RDdQw4w9WgXcQ'],
+];
+
+// [链接, 类型, 规范化后的链接, channel]
+const CHANNEL_LINKS = [
+  ['https://www.youtube.com/@handle', 'channel', 'https://www.youtube.com/@handle/videos',
+    { kind: 'handle', id: '@handle', tab: 'videos' }],
+  ['https://www.youtube.com/@handle/shorts', 'channel', 'https://www.youtube.com/@handle/shorts',
+    { kind: 'handle', id: '@handle', tab: 'shorts' }],
+  // 不支持的标签页回退到 videos
+  ['https://www.youtube.com/@handle/about', 'channel', 'https://www.youtube.com/@handle/videos',
+    { kind: 'handle', id: '@handle', tab: 'videos' }],
+  ['https://www.youtube.com/@handle/live', 'live', 'https://www.youtube.com/@handle/live',
+    { kind: 'handle', id: '@handle', tab: 'live' }],
+  [`https://www.youtube.com/channel/${CHANNEL_ID}`, 'channel', `https://www.youtube.com/channel/${CHANNEL_ID}/videos`,
+    { kind: 'id', id: CHANNEL_ID, tab: 'videos' }],
+  [`https://www.youtube.com/channel/${CHANNEL_ID}/streams`, 'channel', `https://www.youtube.com/channel/${CHANNEL_ID}/streams`,
+    { kind: 'id', id: CHANNEL_ID, tab: 'streams' }],
+  ['https://www.youtube.com/c/Name', 'channel', 'https://www.youtube.com/c/Name/videos',
+    { kind: 'c', id: 'Name', tab: 'videos' }],
+  ['https://www.youtube.com/user/Name/videos', 'channel', 'https://www.youtube.com/user/Name/videos',
+    { kind: 'user', id: 'Name', tab: 'videos' }],
+];
+
+// [链接, 起始秒数]
+const TIMESTAMP_LINKS = [
+  ['https://youtu.be/dQw4w9WgXcQ?t=90', 90],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=90s', 90],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s', 90],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1h2m3s', 3723],
+  ['https://www.youtube.com/live/dQw4w9WgXcQ?t=10', 10],
+  ['https://www.youtube.com/embed/dQw4w9WgXcQ?start=30', 30],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', null],
+  ['https://youtu.be/dQw4w9WgXcQ?t=abc', null],
+];
+
+const MALICIOUS_URLS = [
+  '--exec=touch /tmp/pwned',
+  '--exec touch /tmp/pwned',
+  '-o/tmp/out https://youtu.be/dQw4w9WgXcQ',
+  'javascript:alert(1)',
+  'javascript://www.youtube.com/watch?v=dQw4w9WgXcQ',
+  'file:///etc/passwd',
+];
+
+const FOREIGN_URLS = [
+  'https://example.com/watch?v=dQw4w9WgXcQ',
+  'https://www.youtube.com.evil.com/watch?v=dQw4w9WgXcQ',
+  'https://evil.com/?u=https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+];
+
+test('解析常规的 YouTube 链接', () => {
+  const link = parseYouTubeUrl('https://youtu.be/dQw4w9WgXcQ?t=90');
+  assert.strictEqual(link.valid, true);
+  assert.strictEqual(link.type, 'video');
+  assert.strictEqual(link.videoId, 'dQw4w9WgXcQ');
+  assert.strictEqual(link.start, 90);
+});
+
+test('识别各类视频链接并规范化为 watch?v=', () => {
+  for (const [url, type, canonical] of VIDEO_LINKS) {
+    const link = parseYouTubeUrl(url);
+    assert.strictEqual(link.valid, true, url);
+    assert.strictEqual(link.type, type, url);
+    assert.strictEqual(link.url, canonical, url);
+    assert.strictEqual(link.videoId, 'dQw4w9WgXcQ', url);
+  }
+});
+
+test('识别播放列表和合辑', () => {
+  for (const [url, type, canonical] of PLAYLIST_LINKS) {
+    const link = parseYouTubeUrl(url);
+    assert.strictEqual(link.valid, true, url);
+    assert.strictEqual(link.type, type, url);
+    assert.strictEqual(link.url, canonical, url);
+    assert.strictEqual(link.videoId, null, url);
+  }
+});
+
+test('识别频道链接，未指定标签页时默认为 videos', () => {
+  for (const [url, type, canonical, channel] of CHANNEL_LINKS) {
+    const link = parseYouTubeUrl(url);
+    assert.strictEqual(link.valid, true, url);
+    assert.strictEqual(link.type, type, url);
+    assert.strictEqual(link.url, canonical, url);
+    assert.deepStrictEqual(link.channel, channel, url);
+  }
+});
+
+test('解析 t= 和 start= 时间点', () => {
+  for (const [url, start] of TIMESTAMP_LINKS) {
+    const link = parseYouTubeUrl(url);
+    assert.strictEqual(link.valid, true, url);
+    assert.strictEqual(link.start, start, url);
+    // 规范化后的链接不带时间点
+    assert.strictEqual(link.url, VIDEO_URL, url);
+  }
+});
+
+test('拒绝不合法的视频 ID', () => {
+  const link = parseYouTubeUrl('https://www.youtube.com/watch?v=short');
+  assert.strictEqual(link.valid, false);
+  assert.strictEqual(link.error, 'Invalid video ID');
+});
+
+test('拒绝 yt-dlp 选项和 javascript: 等非 http(s) 链接', () => {
+  for (const url of MALICIOUS_URLS) {
+    const link = parseYouTubeUrl(url);
+    assert.strictEqual(link.valid, false, url);
+    assert.strictEqual(link.url, null, url);
+  }
+});
+
+test('拒绝非 YouTube 域名', () => {
+  for (const url of FOREIGN_URLS) {
+    const link = parseYouTubeUrl(url);
+    assert.strictEqual(link.valid, false, url);
+    assert.strictEqual(link.error, 'Not a YouTube URL', url);
+  }
+});
+
+// 用输出自身参数的假 yt-dlp 检查实际传入的参数
+let fakeBinDir;
+let originalPath;
+
+before(() => {
+  fakeBinDir = fs.mkdtempSync(path.join(os.tmpdir(), 'y2b-test-'));
+  fs.writeFileSync(path.join(fakeBinDir, 'yt-dlp'), [
+    `#!${process.execPath}`,
+    "require('fs').appendFileSync(require('path').join(__dirname, 'calls'), '1');",
+    'console.log(JSON.stringify({ argv: process.argv.slice(2) }));',
+  ].join('\n'), { mode: 0o755 });
+
+  originalPath = process.env.PATH;
+  process.env.PATH = `${fakeBinDir}${path.delimiter}${originalPath}`;
+});
+
+after(() => {
+  process.env.PATH = originalPath;
+  fs.rmSync(fakeBinDir, { recursive: true, force: true });
+});
+
+test('URL 作为最后一个参数放在 -- 之后', async () => {
+  const { argv } = await getVideoMetadata(VIDEO_URL);
+  assert.deepStrictEqual(argv.slice(-2), ['--', VIDEO_URL]);
+  assert.strictEqual(argv.indexOf('--'), argv.length - 2);
+});
+
+test('不合法的 URL 不会启动 yt-dlp', async () => {
+  for (const url of [...MALICIOUS_URLS, ...FOREIGN_URLS]) {
+    await assert.rejects(getVideoMetadata(url), (error) => {
+      assert.strictEqual(error.code, ERROR_CODES.INVALID_URL);
+      assert.strictEqual(error.status, 400);
+      return true;
+    }, url);
+  }
+  assert.strictEqual(fs.readFileSync(path.join(fakeBinDir, 'calls'), 'utf8'), '1');
+});